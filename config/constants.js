@@ -26,6 +26,8 @@ const COMMANDS = {
   AI_RESET_QUOTA: '!airesetquota',
   AI_PASSIVE_LEARNING: '!aipassive',
   AI_MEMORY: '!aimemory',
+  AI_AUTO: '!aiauto',
+  AI_SUMMARY: '!aisummary',
   AI_HELP: '!aihelp'
 };
 
@@ -36,7 +38,287 @@ const IMAGE_COMMAND_ALIASES = ['!imagine', '!create', '!image'];
 const CHECK_INTERVALS = {
   SUBGIFT_PROCESS: 1000, // 1 second
   QUOTA_RESET: 24 * 60 * 60 * 1000, // 24 hours
-  USER_RESPONSE_RESET: 5 * 60 * 1000 // 5 minutes
+  AUTO_ENGAGEMENT: 30 * 1000, // 30 seconds
+  AUTO_ENGAGEMENT_ACTIVITY: 5 * 60 * 1000, // Chat must have had a message in the last 5 minutes
+  STREAM_STATUS: 2 * 60 * 1000 // 2 minutes (stream end resets the conversation summary)
+};
+
+// === STATE SNAPSHOT === //
+// Runtime state (chat history, reply counts, custom prompts, ...) saved to disk so restarts keep it
+const STATE_SNAPSHOT = {
+  FILE: 'state.json',
+  VERSION: 1,
+  SAVE_INTERVAL: 60 * 1000 // 1 minute
+};
+
+// === MODERATION CLEANUP === //
+// Passive learning waits this long so mods can delete a message or time out its author first
+const PASSIVE_LEARNING_DELAY = 15 * 1000; // 15 seconds
+
+// === CONVERSATION SUMMARY === //
+// Messages that fall out of the history window are folded into a running summary in batches
+const CONVERSATION_SUMMARY = {
+  BATCH_SIZE: 10, // Dropped messages per summary call
+  MAX_PENDING: 100, // Dropped messages kept while waiting for a summary call
+  MAX_LENGTH: 1500 // Characters of summary kept
+};
+
+// === RESPONSE LIMITS === //
+// Bot replies per user within the sliding window (responseLimitWindow minutes), by the user's
+// highest role. 0 = unlimited. The channel-wide cap (channelReplyLimit) counts replies per minute.
+const RESPONSE_LIMIT_ROLES = {
+  broadcaster: { setting: 'responseLimitBroadcaster', default: 0 },
+  moderator: { setting: 'responseLimitModerator', default: 10 },
+  vip: { setting: 'responseLimitVip', default: 8 },
+  subscriber: { setting: 'responseLimitSubscriber', default: 6 },
+  everyone: { setting: 'responseLimitEveryone', default: 5 }
+};
+const CHANNEL_REPLY_WINDOW = 60 * 1000; // 1 minute
+
+// === PROMPT TEMPLATES === //
+// Built-in prompts for AI behaviors; overrides are stored in the promptTemplates setting.
+// {placeholders} are filled in when the prompt is used, unknown ones are left as-is.
+const PROMPT_TEMPLATES = {
+  hug: {
+    label: 'Hug command',
+    placeholders: ['user', 'target'],
+    template: 'Tell the chat (in your normal style and personality) that @{user} gives a hug to @{target}. Make it friendly.'
+  },
+  shoutout: {
+    label: 'Shoutout',
+    placeholders: ['user', 'login'],
+    template: 'Generate a shoutout for {user} that will hype up viewers to check their channel. Include information about their latest stream. Include their Twitch link ("https://twitch.tv/{login}") as-is, with no punctuation (like ! or .) immediately after the link.'
+  },
+  imageStarted: {
+    label: 'Image request acknowledgement',
+    placeholders: ['user', 'prompt'],
+    template: 'A user has requested an image with the prompt: "{prompt}". Respond excitedly that you\'ve started working on it and it will be ready soon.'
+  },
+  subscription: {
+    label: 'New subscription',
+    placeholders: ['user', 'tier'],
+    template: 'Respond to a new tier {tier} subscription from {user}. Welcome them with enthusiastic, streamer-appropriate joy.'
+  },
+  resubscription: {
+    label: 'Resubscription',
+    placeholders: ['user', 'tier', 'months'],
+    template: 'Respond to a tier {tier} resubscription from {user} ({months} months). Thank them for continued support. Keep it fresh and excited.'
+  },
+  mysteryGift: {
+    label: 'Gifted subs (mystery gift)',
+    placeholders: ['user', 'tier', 'count'],
+    template: 'Respond to a gift of {count} tier {tier} subscriptions from {user}. Use a celebratory tone and keep it under 423 characters.'
+  },
+  giftedSub: {
+    label: 'Gifted sub',
+    placeholders: ['user', 'recipient', 'tier', 'months'],
+    template: 'Respond to a gifted tier {tier} subscription from {user} to {recipient} ({months} months). Use celebratory emojis. Keep under 423 characters.'
+  },
+  groupedGifts: {
+    label: 'Gifted subs from several users',
+    placeholders: ['users', 'count'],
+    template: 'Acknowledge a group of {count} gifted subscriptions from these users: {users}. Use a celebratory and grateful tone. Keep the message concise and under 423 characters.'
+  },
+  primeUpgrade: {
+    label: 'Prime upgrade',
+    placeholders: ['user'],
+    template: 'Respond to a Prime subscription upgrade from {user}. Welcome them with enthusiastic, streamer-appropriate joy.'
+  },
+  cheer: {
+    label: 'Cheer',
+    placeholders: ['user', 'bits'],
+    template: 'Respond to a cheer of {bits} bits from {user}. Incorporate the bit amount naturally. Casual stream-appropriate excitement. Keep under 423 characters.'
+  },
+  conversationSummary: {
+    label: 'Conversation summary (folds older chat into the running summary)',
+    placeholders: ['summary', 'messages'],
+    template: 'Update the running summary of this Twitch stream\'s chat. Keep running jokes, ongoing topics, notable moments and who was involved, and drop small talk. Answer with the updated summary only, in a few short sentences.\n\nSummary so far:\n{summary}\n\nOlder messages to fold in:\n{messages}'
+  },
+  historyEntry: {
+    label: 'Chat history line (how each chat message is shown to the AI)',
+    placeholders: ['age', 'time', 'name', 'username', 'labels', 'reply', 'message'],
+    template: '[{age}] {name}{labels}{reply}: {message}'
+  },
+  autoEngagement: {
+    label: 'Auto-engagement (chat is active but nobody talked to the bot)',
+    placeholders: ['minutes'],
+    template: 'Nobody has talked to you for {minutes} minutes, but chat is active. Join the conversation with a short, natural comment or question about what chat is currently talking about. Do not greet anyone by name or mention that you were quiet.'
+  },
+  raid: {
+    label: 'Raid',
+    placeholders: ['user', 'viewers'],
+    template: 'Respond to a raid from {user} with {viewers} viewers. Create an energetic welcome message. Include the raider name and viewer count naturally. Keep under 423 characters.'
+  },
+  memoryExtraction: {
+    label: 'Memory extraction',
+    placeholders: ['user', 'message'],
+    template: `Analyze what this user said and extract any new information that falls into these categories:
+- Basic Identity (age, gender, location, job title, education level, etc.)
+- Behaviors (interests, habits, etc.)
+- Preferences (communication style, preferred language, etc.)
+- Goals (goals, targets, aspirations, etc.)
+- Relationships (personal and professional relationships up to 3 degrees of separation)
+
+CRITICAL EXTRACTION RULES:
+1. ONLY extract information that the user provides about THEMSELVES. Do NOT extract names, usernames, or handles that the user uses to address or greet OTHER people.
+2. If the user mentions someone else's name/username/handle, put that information in the "relationships" section to create a separate entity, NOT in the user's identity.
+3. Do NOT treat greeting phrases like "Hey timmmmy" or "What's up Tunney" as information about the user's own identity - these are addresses to others.
+4. Only self-descriptive statements like "I'm 25 years old" or "I live in Seattle" should go in identity/behaviors/preferences/goals.
+5. Do NOT extract information that appears to be what the bot knows or is telling the user.
+
+Format your response as a JSON object with these possible keys:
+{
+  "identity": ["fact1", "fact2"],
+  "behaviors": ["behavior1", "behavior2"],
+  "preferences": ["preference1", "preference2"],
+  "goals": ["goal1", "goal2"],
+  "relationships": [
+    {
+      "entity": "entity_name",
+      "entityType": "person|organization|event",
+      "relationType": "works_at|friends_with|family_of|etc",
+      "observations": ["fact about entity"]
+    }
+  ]
+}
+
+Only include categories that have new information from the user's message. If no new information, return empty object {}.
+
+User's message: {message}`
+  }
+};
+
+// Example values used to preview templates in the web UI
+const PROMPT_TEMPLATE_SAMPLES = {
+  user: 'CoolViewer',
+  target: 'BestFriend',
+  login: 'coolviewer',
+  prompt: 'a juggling robot on the moon',
+  tier: 1,
+  months: 12,
+  count: 5,
+  recipient: 'LuckyLurker',
+  users: 'CoolViewer, BestFriend',
+  bits: 500,
+  viewers: 42,
+  minutes: 20,
+  age: '2m ago',
+  time: '20:15',
+  name: 'CoolViewer',
+  username: 'coolviewer',
+  labels: ' (subscriber, first message)',
+  reply: ' (replying to @BestFriend: "welcome in!")',
+  summary: 'Chat keeps joking that the cat is the real streamer.',
+  messages: '[12m ago] CoolViewer: the cat walked over the keyboard again LUL\n[11m ago] BestFriend: cat for mod',
+  message: "I just started learning to juggle five balls!"
+};
+
+// === CHAT LIMITS === //
+const CHAT_LIMITS = {
+  MESSAGE_LENGTH: 500, // Twitch rejects longer messages
+  BOT_THREADS: 100, // Reply threads the bot answered in, remembered so follow-ups in them count as mentions
+  REPLY_SNIPPET: 60 // Characters of the parent message shown with a reply in the chat history
+};
+
+// === CHAT ANALYTICS === //
+const CHAT_ANALYTICS = {
+  TOP_COUNT: 5, // Top chatters and emotes listed
+  MAX_TRACKED: 1000, // Chatters and emotes counted before the least active are dropped
+  MAX_FIRST_TIME_CHATTERS: 100, // Most recent first-time chatters kept
+  RATE_WINDOW: 5 * 60 * 1000 // Window for the recent messages-per-minute rate
+};
+
+// === BOT STATE EVENTS === //
+// Events emitted by BotState; subscribe with botState.on(BOT_STATE_EVENTS.X, listener)
+const BOT_STATE_EVENTS = {
+  QUOTA_RESET: 'quotaReset',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  PROMPT_CHANGED: 'promptChanged',
+  HISTORY_TRIMMED: 'historyTrimmed',
+  USER_LIMIT_REACHED: 'userLimitReached'
+};
+const BOT_EVENT_LOG_SIZE = 50; // Recent events shown in the web interface
+
+// === OUTBOUND QUEUE === //
+// Lower rank is sent first. Messages still queued after maxAge ms are dropped (0 = never).
+const OUTBOUND_PRIORITIES = {
+  moderation: { rank: 0, maxAge: 0 },
+  events: { rank: 1, maxAge: 2 * 60 * 1000 },
+  replies: { rank: 2, maxAge: 60 * 1000 },
+  scheduled: { rank: 3, maxAge: 30 * 1000 }
+};
+
+// Twitch chat limits for the bot account (per 30 seconds, across all channels)
+const OUTBOUND_LIMITS = {
+  WINDOW: 30 * 1000,
+  USER_MESSAGES: 20, // In channels where the bot is not a moderator
+  MOD_MESSAGES: 100, // In channels where the bot is a moderator or the broadcaster
+  USER_MIN_INTERVAL: 1100 // Non-moderators can send one message per second per channel
+};
+
+// === VISION LIMITS === //
+const VISION_LIMITS = {
+  MAX_IMAGES: 3, // Images per message sent to the model
+  IMAGE_EXTENSIONS: /\.(png|jpe?g|gif|webp)$/i // Only links that point at image files are downloaded
+};
+
+// === MODEL ROUTING === //
+// Purposes that can be routed to their own provider and model
+const MODEL_ROUTE_PURPOSES = {
+  chat: 'Chat replies and AI commands',
+  memoryExtraction: 'Memory extraction',
+  eventAlerts: 'Event alerts',
+  shoutouts: 'Shoutouts',
+  imagePrompt: 'Image prompt creation',
+  vision: 'Replies to linked images',
+  autoEngagement: 'Auto-engagement messages',
+  conversationSummary: 'Conversation summary',
+  discord: 'Discord'
+};
+
+// Empty provider/model means "use the active provider and its model"
+const DEFAULT_MODEL_ROUTES = {
+  chat: { provider: '', model: '', temperature: null, maxTokens: 150 },
+  memoryExtraction: { provider: '', model: '', temperature: 0.3, maxTokens: 500 },
+  eventAlerts: { provider: '', model: '', temperature: null, maxTokens: 150 },
+  shoutouts: { provider: '', model: '', temperature: null, maxTokens: 150 },
+  imagePrompt: { provider: '', model: '', temperature: 0.7, maxTokens: 300 },
+  vision: { provider: '', model: '', temperature: null, maxTokens: 150 },
+  autoEngagement: { provider: '', model: '', temperature: null, maxTokens: 150 },
+  conversationSummary: { provider: '', model: '', temperature: 0.3, maxTokens: 300 },
+  discord: { provider: '', model: '', temperature: null, maxTokens: 300 }
+};
+
+// === USAGE & COST === //
+// USD per 1M tokens (input/output) or per image, matched by model name prefix.
+// Models not listed (e.g. local Ollama models) are counted as free.
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-5-nano': { input: 0.05, output: 0.40 },
+  'gpt-5-mini': { input: 0.25, output: 2.00 },
+  'gpt-5': { input: 1.25, output: 10.00 },
+  'dall-e-3': { image: 0.04 },
+  'gpt-image-1-mini': { image: 0.011 }
+};
+
+// Share of the daily/monthly budget at which each feature group is switched off
+const BUDGET_DEGRADATION = {
+  passiveLearning: 0.8,
+  events: 0.9,
+  chat: 1.0
+};
+
+// Budget group for each purpose; anything not listed counts as chat
+const PURPOSE_BUDGET_GROUPS = {
+  memoryExtraction: 'passiveLearning',
+  conversationSummary: 'passiveLearning',
+  eventAlerts: 'events',
+  autoEngagement: 'events'
 };
 
 // === API ENDPOINTS === //
@@ -53,17 +335,65 @@ const SETTINGS_EDITABLE_FIELDS = [
   "username",
   "password",
   "channel",
+  "channels",
+  "channelSettings",
+  "llmProvider",
+  "openaiApiKey",
+  "openaiModelName",
+  "openaiBaseUrl",
+  "ollamaApiUrl",
+  "ollamaModelName",
+  "compatibleApiUrl",
+  "compatibleModelName",
+  "compatibleApiKey",
+  "providerFailover",
+  "aiMaxRetries",
+  "circuitBreakerThreshold",
+  "circuitBreakerCooldown",
   "maxHistoryLength",
+  "ignoredUsers",
+  "inputBannedWords",
+  "wakeWords",
+  "followUpWindow",
+  "responseLimitWindow",
+  "responseLimitBroadcaster",
+  "responseLimitModerator",
+  "responseLimitVip",
+  "responseLimitSubscriber",
+  "responseLimitEveryone",
+  "responseLimitExemptUsers",
+  "channelReplyLimit",
+  "enableStreaming",
+  "maxReplyMessages",
+  "replyPacingDelay",
+  "threadMentionReplies",
+  "threadCommandReplies",
+  "threadShoutouts",
+  "enableTools",
+  "enableVision",
   "enableShoutoutCommand",
   "enableHugCommand",
   "enableWaifuCommand",
   "enableImageGeneration",
+  "imageBackend",
+  "automatic1111ApiUrl",
+  "comfyuiApiUrl",
+  "comfyuiCheckpoint",
+  "imageSize",
+  "imageSteps",
+  "automatic1111Sampler",
+  "comfyuiSampler",
   "enableQuotaNotification",
   "enableBitsAlerts",
   "enableSubsAlerts",
   "enableRaidsAlerts",
   "enableMemory",
   "enablePassiveLearning",
+  "purgeModeratedMemory",
+  "enableAutoMessages",
+  "inactivityThreshold",
+  "enableConversationSummary",
+  "stateSnapshotMaxAge",
   "enableScheduledMessages",
   "scheduledMessageTimer",
   "DEFAULT_ADDITIONAL_PROMPT",
@@ -72,19 +402,80 @@ const SETTINGS_EDITABLE_FIELDS = [
   "discordChannels",
   "discordSystemPrompt",
   "customCommands",
-  "scheduledMessages"
+  "scheduledMessages",
+  "modelRoutes",
+  "promptTemplates",
+  "outputStripReasoning",
+  "outputRemoveNamePrefix",
+  "outputMarkdownToText",
+  "outputFilterBannedWords",
+  "bannedWords",
+  "bannedWordReplacement",
+  "outputUrlAllowList",
+  "allowedUrlDomains",
+  "outputSanitizeLinks",
+  "outputLengthLimit",
+  "dailyBudget",
+  "monthlyBudget"
 ];
 
 const FIELD_LABELS = {
   username: "Twitch bot username",
   password: "Twitch oauth password",
   channel: "Twitch channel",
+  channels: "Twitch channels (comma separated, first is the primary channel; blank = Twitch channel)",
+  channelSettings: "Per-channel overrides (JSON, e.g. {\"otherchannel\": {\"DEFAULT_ADDITIONAL_PROMPT\": \"...\", \"enableRaidsAlerts\": 0}})",
+  llmProvider: "LLM provider",
+  openaiApiKey: "OpenAI API key",
+  openaiModelName: "OpenAI model",
+  openaiBaseUrl: "OpenAI base URL (optional)",
+  ollamaApiUrl: "Ollama API URL",
+  ollamaModelName: "Ollama model",
+  compatibleApiUrl: "OpenAI-compatible base URL (LM Studio, vLLM, llama.cpp)",
+  compatibleModelName: "OpenAI-compatible model",
+  compatibleApiKey: "OpenAI-compatible API key (optional)",
+  providerFailover: "Failover providers, in order (comma separated, e.g. ollama)",
+  aiMaxRetries: "Retries for rate limits, server errors and timeouts",
+  circuitBreakerThreshold: "Failures before a provider is skipped",
+  circuitBreakerCooldown: "Time a failing provider is skipped",
   maxHistoryLength: "Context history length",
+  ignoredUsers: "Ignored users (comma separated, e.g. nightbot)",
+  inputBannedWords: "Ignore chat messages containing (comma separated)",
+  wakeWords: "Wake words and nicknames (comma separated, add :0.3 to answer only 30% of the time)",
+  followUpWindow: "Follow-up window (seconds a user can keep talking without a mention, 0 = off)",
+  responseLimitWindow: "Response limit window (minutes, sliding)",
+  responseLimitBroadcaster: "Replies per window: broadcaster (0 = unlimited)",
+  responseLimitModerator: "Replies per window: moderators",
+  responseLimitVip: "Replies per window: VIPs",
+  responseLimitSubscriber: "Replies per window: subscribers",
+  responseLimitEveryone: "Replies per window: everyone else",
+  responseLimitExemptUsers: "Users without a reply limit (comma separated)",
+  channelReplyLimit: "Max bot replies per minute in the channel (0 = unlimited)",
+  purgeModeratedMemory: "Forget what the bot learned this session from users who get timed out or banned",
+  enableAutoMessages: "Auto-messages (join in when chat is active but nobody talks to the bot)",
   inactivityThreshold: "Auto message timer",
+  enableConversationSummary: "Summarize chat older than the history window (reset when the stream ends)",
+  stateSnapshotMaxAge: "Restore chat history and state after a restart if saved within (minutes, 0 = never)",
+  enableStreaming: "Stream replies sentence by sentence",
+  maxReplyMessages: "Max chat messages per reply",
+  replyPacingDelay: "Delay between reply messages",
+  threadMentionReplies: "Answer mentions as threaded replies (off = @mention)",
+  threadCommandReplies: "Answer commands as threaded replies",
+  threadShoutouts: "Send shoutouts as threaded replies",
+  enableTools: "Let the AI look things up (stream info, memory, image quota, dice)",
+  enableVision: "Let the AI see images linked in mentions",
   enableShoutoutCommand: "Shoutout command",
   enableHugCommand: "Hug command",
   enableWaifuCommand: "Waifu commands",
   enableImageGeneration: "Image generation",
+  imageBackend: "Image backend",
+  automatic1111ApiUrl: "Stable Diffusion WebUI (AUTOMATIC1111) URL",
+  comfyuiApiUrl: "ComfyUI URL",
+  comfyuiCheckpoint: "ComfyUI checkpoint (e.g. sd_xl_base_1.0.safetensors)",
+  imageSize: "Image size (WIDTHxHEIGHT)",
+  imageSteps: "Sampling steps (local backends)",
+  automatic1111Sampler: "AUTOMATIC1111 sampler (blank = Euler a)",
+  comfyuiSampler: "ComfyUI sampler (blank = euler)",
   enableQuotaNotification: "Notification for renewed image quota",
   enableBitsAlerts: "Bits alerts",
   enableSubsAlerts: "Subscriptions alerts",
@@ -99,10 +490,37 @@ const FIELD_LABELS = {
   discordChannels: "Discord Channel IDs or Names (comma separated)",
   discordSystemPrompt: "Discord Bot System Prompt",
   customCommands: "Custom Commands",
-  scheduledMessages: "Scheduled Messages"
+  scheduledMessages: "Scheduled Messages",
+  modelRoutes: "Model Routing",
+  promptTemplates: "Prompt Templates",
+  outputStripReasoning: "Strip reasoning (<think> blocks)",
+  outputRemoveNamePrefix: "Remove the bot's own name at the start of replies",
+  outputMarkdownToText: "Convert markdown to plain chat text",
+  outputFilterBannedWords: "Filter banned words",
+  bannedWords: "Banned words (comma separated)",
+  bannedWordReplacement: "Replace banned words with",
+  outputUrlAllowList: "Only allow links to listed domains",
+  allowedUrlDomains: "Allowed link domains (comma separated, subdomains included)",
+  outputSanitizeLinks: "Keep punctuation off the end of links and mentions",
+  outputLengthLimit: "Split messages over Twitch's 500 character limit",
+  dailyBudget: "Daily AI budget (USD, 0 = unlimited)",
+  monthlyBudget: "Monthly AI budget (USD, 0 = unlimited)"
 };
 
 const CHECKBOX_FIELDS = [
+  "enableStreaming",
+  "threadMentionReplies",
+  "threadCommandReplies",
+  "threadShoutouts",
+  "enableTools",
+  "enableVision",
+  "outputStripReasoning",
+  "outputRemoveNamePrefix",
+  "outputMarkdownToText",
+  "outputFilterBannedWords",
+  "outputUrlAllowList",
+  "outputSanitizeLinks",
+  "outputLengthLimit",
   "enableShoutoutCommand",
   "enableHugCommand",
   "enableWaifuCommand",
@@ -114,6 +532,9 @@ const CHECKBOX_FIELDS = [
   "enableMemory",
   "enablePassiveLearning",
   "enableScheduledMessages",
+  "enableAutoMessages",
+  "enableConversationSummary",
+  "purgeModeratedMemory",
   "enableDiscordBot"
 ];
 
@@ -128,6 +549,11 @@ const MESSAGES = {
   WAIFU_LIST_EMPTY: "Nobody is on the waifu list yet! 💔",
   WAIFU_LIST: (list) => "My waifus: " + list.map(u => '@' + u).join(', ') + " 💖",
   TIMER_SET: (minutes) => `Auto message timer set to ${minutes} minutes. ⏲️`,
+  AUTO_ON: 'Auto-messages are now enabled. I\'ll join in when chat is active and nobody talks to me. 💬',
+  AUTO_OFF: 'Auto-messages are now disabled. I\'ll only talk when spoken to. 🔇',
+  SUMMARY_EMPTY: 'Nothing to summarize yet for this stream. 📝',
+  SUMMARY_CURRENT: (summary) => `Earlier in this stream: ${summary}`,
+  SUMMARY_RESET: 'Conversation summary cleared. Starting fresh! 🧹',
   INVALID_MINUTES: 'Please provide a valid number of minutes (e.g., !aitimer 30). ❌',
   PROMPT_UPDATED: 'System prompt updated successfully! ✅',
   PROMPT_RESET: 'System prompt reset to default! 🔄',
@@ -137,7 +563,7 @@ const MESSAGES = {
   CONTEXT_SET: (length) => `Context history length set to ${length} messages 📜`,
   INVALID_CONTEXT: 'Please provide a number between 1-50 (e.g., !aicontext 20). ❌',
   QUOTA_REACHED: (limit) => `⚠️ Image generation limit reached (${limit}/day).`,
-  NO_OPENAI: '⚠️ Image generation requires OpenAI API to be enabled and configured',
+  NO_IMAGE_BACKEND: '⚠️ Image generation requires OpenAI or a local image backend to be configured',
   NO_CONTEXT: '⚠️ No chat history to generate from!',
   IMAGE_FROM_CONTEXT: (usage, limit) => `🎨 Generated from chat context (${usage}/${limit}): `,
   IMAGE_FROM_PROMPT: (usage, limit) => `🖼️ Generated image (${usage}/${limit}): `,
@@ -163,6 +589,25 @@ module.exports = {
   COMMANDS,
   IMAGE_COMMAND_ALIASES,
   CHECK_INTERVALS,
+  RESPONSE_LIMIT_ROLES,
+  CHANNEL_REPLY_WINDOW,
+  CHAT_LIMITS,
+  CHAT_ANALYTICS,
+  CONVERSATION_SUMMARY,
+  PASSIVE_LEARNING_DELAY,
+  STATE_SNAPSHOT,
+  BOT_STATE_EVENTS,
+  BOT_EVENT_LOG_SIZE,
+  OUTBOUND_PRIORITIES,
+  OUTBOUND_LIMITS,
+  VISION_LIMITS,
+  MODEL_ROUTE_PURPOSES,
+  DEFAULT_MODEL_ROUTES,
+  PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_SAMPLES,
+  MODEL_PRICING,
+  BUDGET_DEGRADATION,
+  PURPOSE_BUDGET_GROUPS,
   API_ENDPOINTS,
   SETTINGS_EDITABLE_FIELDS,
   FIELD_LABELS,
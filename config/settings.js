@@ -43,10 +43,87 @@ function setSetting(key, value) {
   SETTINGS[key] = value;
 }
 
+/**
+ * Normalize a channel name ("#Name" -> "name")
+ * @param {string} channel - Channel name
+ * @returns {string} - Normalized channel name
+ */
+function normalizeChannel(channel) {
+  return String(channel || '').replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Get the channels the bot joins (channels, or the single channel setting)
+ * @returns {string[]} - Normalized channel names, primary channel first
+ */
+function getChannels() {
+  const channels = (getSetting('channels', []) || []).map(normalizeChannel).filter(Boolean);
+  if (channels.length > 0) return [...new Set(channels)];
+
+  const channel = normalizeChannel(getSetting('channel'));
+  return channel ? [channel] : [];
+}
+
+/**
+ * Check if a channel is the primary channel, whose values live in the top-level settings
+ * @param {string} channel - Channel name
+ * @returns {boolean} - True if primary
+ */
+function isPrimaryChannel(channel) {
+  return normalizeChannel(channel) === getChannels()[0];
+}
+
+/**
+ * Get the overrides for one channel from channelSettings
+ * @param {string} channel - Channel name
+ * @returns {Object} - Overridden settings
+ */
+function getChannelOverrides(channel) {
+  return (getSetting('channelSettings', {}) || {})[normalizeChannel(channel)] || {};
+}
+
+/**
+ * Get a setting for a channel, preferring its override in channelSettings
+ * @param {string} channel - Channel name
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value when the setting is missing
+ * @param {boolean} inherit - Fall back to the shared setting (always true for the primary channel)
+ * @returns {*} - Setting value
+ */
+function getChannelSetting(channel, key, defaultValue = null, inherit = true) {
+  const overrides = getChannelOverrides(channel);
+  if (overrides[key] !== undefined) return overrides[key];
+  return inherit || isPrimaryChannel(channel) ? getSetting(key, defaultValue) : defaultValue;
+}
+
+/**
+ * Set a setting for a channel
+ * The primary channel writes the top-level setting unless it already has an override
+ * @param {string} channel - Channel name
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ */
+function setChannelSetting(channel, key, value) {
+  const name = normalizeChannel(channel);
+  if (isPrimaryChannel(name) && getChannelOverrides(name)[key] === undefined) {
+    setSetting(key, value);
+    return;
+  }
+
+  const channelSettings = { ...(getSetting('channelSettings', {}) || {}) };
+  channelSettings[name] = { ...(channelSettings[name] || {}), [key]: value };
+  setSetting('channelSettings', channelSettings);
+}
+
 module.exports = {
   loadSettings,
   saveSettings,
   getSettings,
   getSetting,
-  setSetting
+  setSetting,
+  normalizeChannel,
+  getChannels,
+  isPrimaryChannel,
+  getChannelSetting,
+  setChannelSetting
 };
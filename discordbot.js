@@ -1,5 +1,6 @@
 const { Client, GatewayIntentBits, Partials } = require('discord.js');
-const { OpenAI } = require('openai');
+const { resolveRoute } = require('./services/providers');
+const aiService = require('./services/aiService');
 
 let discordClient = null;
 let discordMessageHistory = [];
@@ -12,7 +13,7 @@ const DISCORD_CORE_PROMPT = `You are a Discord chatbot. Try to keep messages sho
 // Timeout for context memory (we could clear periodically or on max message length too)
 const MAX_HISTORY = 15;
 
-function initializeDiscord(settings, openaiInstance) {
+function initializeDiscord(settings) {
   discordSettings = settings;
 
   if (!discordSettings.enableDiscordBot) {
@@ -37,27 +38,19 @@ function initializeDiscord(settings, openaiInstance) {
   }
 
   // Create a helper to get chat response with Discord context
-  async function getDiscordChatResponse(userMessage) {
-    if (!openaiInstance) {
-      console.error('OpenAI instance missing for Discord.');
-      return 'Sorry, I am currently unable to respond.';
-    }
-
+  async function getDiscordChatResponse() {
     const prompt = discordSystemPrompt;
-    const context = discordMessageHistory.join('\n');
 
     try {
-      const response = await openaiInstance.chat.completions.create({
-        model: discordSettings.openaiModelName || 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: prompt },
-          { role: 'user', content: `Context:\n${context}\n\nUser: ${userMessage}\nBot:` }
-        ],
-        max_tokens: 300,
-      });
-      return response.choices[0].message.content.trim();
+      const route = resolveRoute('discord');
+      // History already ends with the user's message
+      const response = await aiService.complete(route, [
+        { role: 'system', content: prompt },
+        ...discordMessageHistory
+      ]);
+      return response.content.trim();
     } catch (error) {
-      console.error('Error calling OpenAI API for Discord:', error);
+      console.error('Error calling LLM provider for Discord:', error);
       return 'Sorry, I encountered an error while generating a response.';
     }
   }
@@ -94,18 +87,18 @@ function initializeDiscord(settings, openaiInstance) {
     if (!userMessage) return; // no message after mention
 
     // Add user message to discord context
-    discordMessageHistory.push(`${message.author.username}: ${userMessage}`);
+    discordMessageHistory.push({ role: 'user', content: `${message.author.username}: ${userMessage}` });
     if (discordMessageHistory.length > MAX_HISTORY) {
       discordMessageHistory.shift();
     }
 
     // Get bot response
-    let reply = await getDiscordChatResponse(userMessage);
+    let reply = await getDiscordChatResponse();
 
     // Clean up any tags or unwanted responses if necessary (optional)
 
     // Add bot response to history
-    discordMessageHistory.push(`Bot: ${reply}`);
+    discordMessageHistory.push({ role: 'assistant', content: reply });
     if (discordMessageHistory.length > MAX_HISTORY) {
       discordMessageHistory.shift();
     }
@@ -0,0 +1,100 @@
+const aiService = require('../services/aiService');
+const { getSetting } = require('../config/settings');
+const { CHECK_INTERVALS } = require('../config/constants');
+const { cleanResponse, hasTimeElapsed, msToMinutes } = require('../utils/helpers');
+const { renderPrompt } = require('../utils/promptTemplates');
+
+/**
+ * Joins the conversation when chat is active but nobody has talked to the bot
+ * for inactivityThreshold ms (toggled with enableAutoMessages / !aiauto)
+ */
+class AutoEngagementHandler {
+  constructor(twitchClient, botState) {
+    this.twitchClient = twitchClient;
+    this.botState = botState;
+    this.autoEngagementInterval = null;
+    this.startAutoEngagement();
+  }
+
+  /**
+   * Start the inactivity check timer
+   */
+  startAutoEngagement() {
+    this.autoEngagementInterval = setInterval(() => {
+      this.checkAndEngage();
+    }, CHECK_INTERVALS.AUTO_ENGAGEMENT);
+  }
+
+  /**
+   * Check if the bot should join in and post a comment if so
+   */
+  async checkAndEngage() {
+    if (!this.shouldEngage()) {
+      return;
+    }
+
+    await this.engage();
+  }
+
+  /**
+   * Check if the bot should join the conversation
+   * @returns {boolean} - True if enabled, not paused, not mentioned for the threshold and chat is active
+   */
+  shouldEngage() {
+    if (this.botState.getSetting('enableAutoMessages', 0) != 1) return false;
+    if (this.botState.isPaused()) return false;
+
+    const threshold = Number(this.botState.getSetting('inactivityThreshold', 1200000)) || 1200000;
+    if (!hasTimeElapsed(this.botState.lastBotMentionTime, threshold)) return false;
+
+    // Only join in while chat is talking, never into an empty room
+    if (hasTimeElapsed(this.botState.lastChatActivityTime, CHECK_INTERVALS.AUTO_ENGAGEMENT_ACTIVITY)) return false;
+
+    // Don't talk twice in a row
+    const history = this.botState.messageHistory;
+    return history.length > 0 && !this.botState.isBotMessage(history[history.length - 1]);
+  }
+
+  /**
+   * Post a context-aware comment
+   */
+  async engage() {
+    const minutes = msToMinutes(Date.now() - this.botState.lastBotMentionTime);
+
+    // Restart the inactivity timer whether or not the comment works out
+    this.botState.updateLastMentionTime();
+
+    try {
+      const result = await aiService.getChatResponse(
+        renderPrompt('autoEngagement', { minutes: minutes }),
+        this.botState.getMessageContext(),
+        this.botState.getSystemPrompt(),
+        'default_user',
+        { purpose: 'autoEngagement' }
+      );
+
+      const response = cleanResponse(result.response);
+      if (!response) {
+        console.log('Empty AI response for auto-engagement, skipping');
+        return;
+      }
+
+      this.twitchClient.say(this.botState.channel, response, { priority: 'scheduled' });
+      this.botState.addMessage(`${getSetting('username')}: ${response}`);
+    } catch (error) {
+      console.error('Auto-engagement error:', error);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    if (this.autoEngagementInterval) {
+      clearInterval(this.autoEngagementInterval);
+      this.autoEngagementInterval = null;
+    }
+  }
+}
+
+module.exports = AutoEngagementHandler;
@@ -1,6 +1,9 @@
 const aiService = require('../services/aiService');
 const twitchApiService = require('../services/twitchApiService');
-const { getSetting, setSetting, saveSettings, getSettings } = require('../config/settings');
+const { getActiveImageBackend } = require('../services/imageBackends');
+const { renderPrompt } = require('../utils/promptTemplates');
+const { sendReply } = require('../utils/chatReply');
+const { getSetting, saveSettings, setChannelSetting } = require('../config/settings');
 const { COMMANDS, MESSAGES, IMAGE_COMMAND_ALIASES } = require('../config/constants');
 const {
   hasElevatedPrivileges,
@@ -21,34 +24,51 @@ class CommandHandler {
     this.botState = botState;
   }
 
+  /**
+   * Answer a command, as a threaded reply unless the channel uses the classic style
+   * @param {string} channel - Channel name
+   * @param {Object} tags - Tags of the command message
+   * @param {string} text - Response text
+   * @param {Object} options - { context, mention, priority } (see sendReply)
+   * @returns {Promise} - Send result
+   */
+  reply(channel, tags, text, options = {}) {
+    return sendReply(this.twitchClient, this.botState, channel, tags, text, { context: 'commands', ...options });
+  }
+
   /**
    * Handle custom commands (checked before hardcoded ones)
    * @param {string} channel - Channel name
+   * @param {Object} tags - Message tags
    * @param {string} message - Full message
    * @returns {boolean} - True if custom command was handled
    */
-  async handleCustomCommand(channel, message) {
-    const customCommands = getSettings().customCommands || [];
+  async handleCustomCommand(channel, tags, message) {
+    const customCommands = this.botState.getSetting('customCommands', []) || [];
     const cmd = customCommands.find(c => message.toLowerCase().startsWith(c.command.toLowerCase()));
 
     if (!cmd) return false;
 
     if (cmd.type === 'static') {
       // Static command - send response directly
-      this.twitchClient.say(channel, cmd.content);
+      this.reply(channel, tags, cmd.content);
       this.botState.addMessage(`${getSetting('username')}: ${cmd.content}`);
     } else if (cmd.type === 'ai') {
+      // AI commands count against the same response limits as mentions
+      const prompt = this.botState.claimLimitedResponse(tags.username, tags);
+      if (prompt === null) return true;
+
       // AI command - use AI service with prompt
-      const context = this.botState.getMessageContext();
+      const context = this.botState.getMessageContext(tags.id);
       try {
-        const result = await aiService.getChatResponse(cmd.content, context, this.botState.getSystemPrompt());
+        const result = await aiService.getChatResponse(cmd.content, context, prompt);
         let response = result.response;
-        this.twitchClient.say(channel, response);
+        this.reply(channel, tags, response);
         this.botState.addMessage(`${getSetting('username')}: ${response}`);
       } catch (error) {
         console.error('Custom AI command error:', error);
-        const fallback = getSetting('fallbackMessage', 'Ooooops, something went wrong');
-        this.twitchClient.say(channel, fallback);
+        const fallback = this.botState.getSetting('fallbackMessage', 'Ooooops, something went wrong');
+        this.reply(channel, tags, fallback);
         this.botState.addMessage(`${getSetting('username')}: ${fallback}`);
       }
     }
@@ -67,13 +87,13 @@ class CommandHandler {
     const username = tags.username;
 
     // Check custom commands first
-    if (await this.handleCustomCommand(channel, message)) {
+    if (await this.handleCustomCommand(channel, tags, message)) {
       return true;
     }
 
     // AI Bot promo
     if (message.toLowerCase() === COMMANDS.AI_BOT) {
-      this.twitchClient.say(channel, MESSAGES.AI_BOT_PROMO);
+      this.reply(channel, tags, MESSAGES.AI_BOT_PROMO);
       return true;
     }
 
@@ -95,11 +115,16 @@ class CommandHandler {
       return await this.handleRemoveWaifu(channel, tags);
     }
     if (message.toLowerCase() === COMMANDS.WAIFU_LIST) {
-      return await this.handleWaifuList(channel);
+      return await this.handleWaifuList(channel, tags);
     }
 
 
 
+    // Auto-engagement toggle
+    if (message.toLowerCase() === COMMANDS.AI_AUTO) {
+      return await this.handleAutoMessagesToggle(channel, tags);
+    }
+
     // Timer setting
     if (message.toLowerCase().startsWith(COMMANDS.AI_TIMER + ' ') || message.toLowerCase() === COMMANDS.AI_TIMER) {
       return await this.handleTimerSetting(channel, tags, message);
@@ -126,6 +151,11 @@ class CommandHandler {
       return await this.handleContextLength(channel, tags, message);
     }
 
+    // Conversation summary
+    if (message.toLowerCase().startsWith(COMMANDS.AI_SUMMARY + ' ') || message.toLowerCase() === COMMANDS.AI_SUMMARY) {
+      return await this.handleConversationSummary(channel, tags, message);
+    }
+
     // Image generation - check for command with or without arguments
     const isImageCommand = IMAGE_COMMAND_ALIASES.some(cmd =>
       message.toLowerCase().startsWith(cmd + ' ') || message.toLowerCase() === cmd
@@ -158,98 +188,103 @@ class CommandHandler {
   }
 
   async handleHugCommand(channel, tags, message) {
-    if (!getSetting('enableHugCommand', false)) return false;
+    if (!this.botState.getSetting('enableHugCommand', false)) return false;
 
     const hugMatch = message.trim().match(/^!hug\s+@?([a-zA-Z0-9_]+)$/i);
     if (!hugMatch) return false;
 
+    // Hugs count against the same response limits as mentions
+    const prompt = this.botState.claimLimitedResponse(tags.username, tags);
+    if (prompt === null) return true;
+
     const hugReceiver = hugMatch[1];
     const hugGiver = tags['display-name'] || tags.username;
 
-    const hugPrompt = `Tell the chat (in your normal style and personality) that @${hugGiver} gives a hug to @${hugReceiver}. Make it friendly.`;
-    const context = this.botState.getMessageContext();
+    const hugPrompt = renderPrompt('hug', { user: hugGiver, target: hugReceiver });
+    const context = this.botState.getMessageContext(tags.id);
 
     try {
-      const result = await aiService.getChatResponse(hugPrompt, context, this.botState.getSystemPrompt());
-      let response = result.response.replace(/(@[a-zA-Z0-9_]+)([.!?,:;])/g, '$1 $2');
-      this.twitchClient.say(channel, response);
+      const result = await aiService.getChatResponse(hugPrompt, context, prompt);
+      const response = result.response;
+      this.reply(channel, tags, response);
       this.botState.addMessage(`${getSetting('username')}: ${response}`);
     } catch (error) {
       console.error('Hug command error:', error);
-      this.twitchClient.say(channel, MESSAGES.HUG_SUCCESS(hugGiver, hugReceiver));
+      this.reply(channel, tags, MESSAGES.HUG_SUCCESS(hugGiver, hugReceiver));
     }
 
     return true;
   }
 
   async handleShoutoutCommand(channel, tags, message) {
-    if (!getSetting('enableShoutoutCommand', false)) return false;
+    if (!this.botState.getSetting('enableShoutoutCommand', false)) return false;
     if (!hasElevatedPrivileges(tags)) return false;
 
     const matches = message.trim().match(/^!so\s+@?([a-zA-Z0-9_]{4,25})/i);
     if (!matches) {
-      this.twitchClient.say(channel, MESSAGES.INVALID_SO_USAGE);
+      this.reply(channel, tags, MESSAGES.INVALID_SO_USAGE);
       return true;
     }
 
     const targetUsername = matches[1].toLowerCase();
-    await this.performShoutout(channel, targetUsername, tags.username);
+    await this.performShoutout(channel, targetUsername, tags);
     return true;
   }
 
-  async performShoutout(channel, targetUsername, requestedBy) {
-    const shoutoutData = await twitchApiService.generateShoutout(targetUsername, this.botState.messageHistory);
+  async performShoutout(channel, targetUsername, tags) {
+    const shoutoutData = await twitchApiService.generateShoutout(targetUsername, this.botState.getHistoryLines());
 
     if (!shoutoutData.success) {
-      this.twitchClient.say(channel, shoutoutData.message);
+      this.reply(channel, tags, shoutoutData.message, { context: 'shoutouts' });
       return;
     }
 
     const { user, context } = shoutoutData;
-    const soUserMsg = `Generate a shoutout for ${user.display_name} that will hype up viewers to check their channel. Include information about their latest stream. Include their Twitch link ("https://twitch.tv/${user.login}") as-is, with no punctuation (like ! or .) immediately after the link.`;
+    const soUserMsg = renderPrompt('shoutout', { user: user.display_name, login: user.login });
 
     try {
-      const result = await aiService.getChatResponse(soUserMsg, context, this.botState.getSystemPrompt());
-      let aiSoMsg = result.response.replace(/(https:\/\/twitch\.tv\/[a-zA-Z0-9_]+)([.,!?)])/g, '$1 $2');
-      this.twitchClient.say(channel, aiSoMsg);
+      const result = await aiService.getChatResponse(soUserMsg, context, this.botState.getSystemPrompt(), 'default_user', {
+        purpose: 'shoutouts'
+      });
+      this.reply(channel, tags, result.response, { context: 'shoutouts' });
     } catch (error) {
       console.error('Shoutout AI error:', error);
-      this.twitchClient.say(channel, `Go check out @${user.display_name} at https://twitch.tv/${user.login}!`);
+      this.reply(channel, tags, `Go check out @${user.display_name} at https://twitch.tv/${user.login}!`, { context: 'shoutouts' });
     }
   }
 
   async handleAddWaifu(channel, tags) {
-    if (!getSetting('enableWaifuCommand', false)) return false;
+    if (!this.botState.getSetting('enableWaifuCommand', false)) return false;
 
     const username = tags.username;
     if (this.botState.addWaifu(username)) {
-      this.twitchClient.say(channel, MESSAGES.WAIFU_ADD(username));
+      this.reply(channel, tags, MESSAGES.WAIFU_ADD(username));
     } else {
-      this.twitchClient.say(channel, MESSAGES.WAIFU_ALREADY(username));
+      this.reply(channel, tags, MESSAGES.WAIFU_ALREADY(username));
     }
     return true;
   }
 
   async handleRemoveWaifu(channel, tags) {
-    if (!getSetting('enableWaifuCommand', false)) return false;
+    if (!this.botState.getSetting('enableWaifuCommand', false)) return false;
 
     const username = tags.username;
     if (this.botState.removeWaifu(username)) {
-      this.twitchClient.say(channel, MESSAGES.WAIFU_REMOVE(username));
+      this.reply(channel, tags, MESSAGES.WAIFU_REMOVE(username));
     } else {
-      this.twitchClient.say(channel, MESSAGES.WAIFU_NOT_LISTED(username));
+      this.reply(channel, tags, MESSAGES.WAIFU_NOT_LISTED(username));
     }
     return true;
   }
 
-  async handleWaifuList(channel) {
-    if (!getSetting('enableWaifuCommand', false)) return false;
+  async handleWaifuList(channel, tags) {
+    if (!this.botState.getSetting('enableWaifuCommand', false)) return false;
 
     const waifus = this.botState.getWaifus();
     if (waifus.length === 0) {
-      this.twitchClient.say(channel, MESSAGES.WAIFU_LIST_EMPTY);
+      this.reply(channel, tags, MESSAGES.WAIFU_LIST_EMPTY);
     } else {
-      this.twitchClient.say(channel, MESSAGES.WAIFU_LIST(waifus));
+      this.reply(channel, tags, MESSAGES.WAIFU_LIST(waifus));
     }
     return true;
   }
@@ -259,15 +294,14 @@ class CommandHandler {
   async handlePassiveLearningToggle(channel, tags) {
     if (!hasElevatedPrivileges(tags)) return false;
 
-    const currentState = getSetting('enablePassiveLearning', false);
-    const newState = !currentState;
-    setSetting('enablePassiveLearning', newState ? 1 : 0);
+    const newState = this.botState.getSetting('enablePassiveLearning', 0) != 1;
+    setChannelSetting(this.botState.channel, 'enablePassiveLearning', newState ? 1 : 0);
     await saveSettings();
 
     const message = newState
       ? 'Passive learning is now enabled. The bot will learn from all messages in the background. 🧠📚'
       : 'Passive learning is now disabled. The bot will only learn when directly addressed. 🔇🧠';
-    this.twitchClient.say(channel, message);
+    this.reply(channel, tags, message);
     this.botState.addMessage(`${getSetting('username')}: ${message}`);
     return true;
   }
@@ -275,33 +309,62 @@ class CommandHandler {
   async handleMemoryToggle(channel, tags) {
     if (!hasElevatedPrivileges(tags)) return false;
 
-    const currentState = getSetting('enableMemory', false);
-    const newState = !currentState;
-    setSetting('enableMemory', newState ? 1 : 0);
+    const newState = this.botState.getSetting('enableMemory', 0) != 1;
+    setChannelSetting(this.botState.channel, 'enableMemory', newState ? 1 : 0);
     await saveSettings();
 
     const message = newState
       ? 'Persistent memory is now enabled. The bot will remember and retrieve user information. 🧠💾'
       : 'Persistent memory is now disabled. The bot will not store or retrieve user information. 🔇🧠';
-    this.twitchClient.say(channel, message);
+    this.reply(channel, tags, message);
     this.botState.addMessage(`${getSetting('username')}: ${message}`);
     return true;
   }
 
+  async handleAutoMessagesToggle(channel, tags) {
+    if (!hasElevatedPrivileges(tags)) return false;
+
+    const newState = this.botState.getSetting('enableAutoMessages', 0) != 1;
+    setChannelSetting(this.botState.channel, 'enableAutoMessages', newState ? 1 : 0);
+    await saveSettings();
+
+    const message = newState ? MESSAGES.AUTO_ON : MESSAGES.AUTO_OFF;
+    this.reply(channel, tags, message);
+    this.botState.addMessage(`${getSetting('username')}: ${message}`);
+    return true;
+  }
+
+  async handleConversationSummary(channel, tags, message) {
+    if (!hasElevatedPrivileges(tags)) return false;
+
+    let response;
+    if (extractCommandArgs(message, COMMANDS.AI_SUMMARY).toLowerCase() === 'reset') {
+      this.botState.resetConversationSummary();
+      response = MESSAGES.SUMMARY_RESET;
+    } else {
+      const summary = this.botState.getConversationSummary();
+      response = summary ? MESSAGES.SUMMARY_CURRENT(summary) : MESSAGES.SUMMARY_EMPTY;
+    }
+
+    this.reply(channel, tags, response);
+    this.botState.addMessage(`${getSetting('username')}: ${response}`);
+    return true;
+  }
+
   async handleTimerSetting(channel, tags, message) {
     if (!hasElevatedPrivileges(tags)) return false;
 
     const minutes = parseNumber(extractCommandArgs(message, COMMANDS.AI_TIMER));
     if (minutes === null || minutes < 1) {
-      this.twitchClient.say(channel, MESSAGES.INVALID_MINUTES);
+      this.reply(channel, tags, MESSAGES.INVALID_MINUTES);
       this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.INVALID_MINUTES}`);
       return true;
     }
 
-    setSetting('inactivityThreshold', minutesToMs(minutes));
+    setChannelSetting(this.botState.channel, 'inactivityThreshold', minutesToMs(minutes));
     await saveSettings();
     const response = MESSAGES.TIMER_SET(minutes);
-    this.twitchClient.say(channel, response);
+    this.reply(channel, tags, response);
     this.botState.addMessage(`${getSetting('username')}: ${response}`);
     return true;
   }
@@ -311,13 +374,13 @@ class CommandHandler {
 
     const newPrompt = extractCommandArgs(message, COMMANDS.AI_SYS_PROMPT);
     if (!newPrompt) {
-      this.twitchClient.say(channel, MESSAGES.INVALID_PROMPT);
+      this.reply(channel, tags, MESSAGES.INVALID_PROMPT);
       this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.INVALID_PROMPT}`);
       return true;
     }
 
     this.botState.setSystemPrompt(newPrompt);
-    this.twitchClient.say(channel, MESSAGES.PROMPT_UPDATED);
+    this.reply(channel, tags, MESSAGES.PROMPT_UPDATED);
     this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.PROMPT_UPDATED}`);
     return true;
   }
@@ -326,7 +389,7 @@ class CommandHandler {
     if (!hasElevatedPrivileges(tags)) return false;
 
     this.botState.resetSystemPrompt();
-    this.twitchClient.say(channel, MESSAGES.PROMPT_RESET);
+    this.reply(channel, tags, MESSAGES.PROMPT_RESET);
     this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.PROMPT_RESET}`);
     return true;
   }
@@ -335,7 +398,7 @@ class CommandHandler {
     if (!hasElevatedPrivileges(tags)) return false;
 
     this.botState.pauseBot();
-    this.twitchClient.say(channel, MESSAGES.BOT_PAUSED);
+    this.reply(channel, tags, MESSAGES.BOT_PAUSED, { priority: 'moderation' });
     this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.BOT_PAUSED}`);
     return true;
   }
@@ -344,7 +407,7 @@ class CommandHandler {
     if (!hasElevatedPrivileges(tags)) return false;
 
     this.botState.resumeBot();
-    this.twitchClient.say(channel, MESSAGES.BOT_RESUMED);
+    this.reply(channel, tags, MESSAGES.BOT_RESUMED, { priority: 'moderation' });
     this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.BOT_RESUMED}`);
     return true;
   }
@@ -354,30 +417,30 @@ class CommandHandler {
 
     const newLength = parseNumber(extractCommandArgs(message, COMMANDS.AI_CONTEXT));
     if (newLength === null || newLength < 1 || newLength > 50) {
-      this.twitchClient.say(channel, MESSAGES.INVALID_CONTEXT);
+      this.reply(channel, tags, MESSAGES.INVALID_CONTEXT);
       this.botState.addMessage(`${getSetting('username')}: ${MESSAGES.INVALID_CONTEXT}`);
       return true;
     }
 
     this.botState.setMaxHistoryLength(newLength);
     const response = MESSAGES.CONTEXT_SET(newLength);
-    this.twitchClient.say(channel, response);
+    this.reply(channel, tags, response);
     this.botState.addMessage(`${getSetting('username')}: ${response}`);
     return true;
   }
 
   async handleImageGeneration(channel, tags, message) {
-    if (!getSetting('enableImageGeneration', false)) return false;
+    if (!this.botState.getSetting('enableImageGeneration', false)) return false;
 
     // Check quota
     if (this.botState.isQuotaExceeded()) {
-      this.twitchClient.say(channel, MESSAGES.QUOTA_REACHED(getSetting('quotaLimit', 10)));
+      this.reply(channel, tags, MESSAGES.QUOTA_REACHED(this.botState.getSetting('quotaLimit', 10)));
       return true;
     }
 
-    // Check OpenAI setup
-    if (!getSetting('useOpenAI') || !getSetting('openaiApiKey')) {
-      this.twitchClient.say(channel, MESSAGES.NO_OPENAI);
+    // Check image backend setup
+    if (!getActiveImageBackend().isConfigured()) {
+      this.reply(channel, tags, MESSAGES.NO_IMAGE_BACKEND);
       return true;
     }
 
@@ -389,11 +452,11 @@ class CommandHandler {
       if (!userProvidedPrompt) {
         // Generate from context
         if (this.botState.messageHistory.length === 0) {
-          this.twitchClient.say(channel, MESSAGES.NO_CONTEXT);
+          this.reply(channel, tags, MESSAGES.NO_CONTEXT);
           return true;
         }
 
-        prompt = await aiService.generatePromptFromContext(this.botState.messageHistory);
+        prompt = await aiService.generatePromptFromContext(this.botState.getHistoryLines());
         generatedFromContext = true;
       } else {
         prompt = userProvidedPrompt;
@@ -401,26 +464,26 @@ class CommandHandler {
 
       // Validate prompt
       if (!prompt || prompt.trim().length < 3) {
-        this.twitchClient.say(channel, MESSAGES.NO_CONTEXT);
+        this.reply(channel, tags, MESSAGES.NO_CONTEXT);
         return true;
       }
 
       // Send immediate excited response
-      const excitedPrompt = `A user has requested an image with the prompt: "${prompt}". Respond excitedly that you've started working on it and it will be ready soon.`;
-      const context = this.botState.getMessageContext();
+      const excitedPrompt = renderPrompt('imageStarted', { user: tags.username, prompt: prompt });
+      const context = this.botState.getMessageContext(tags.id);
       try {
         const excitedResult = await aiService.getChatResponse(excitedPrompt, context, this.botState.getSystemPrompt());
         let excitedResponse = excitedResult.response.replace(/<think[^>]*>([\s\S]*?)<\/think>/gi, '').trim();
         if (!excitedResponse) {
           excitedResponse = "Ooh, I'm so excited to create this image! I've started working on it and it should be ready soon!";
         }
-        this.twitchClient.say(channel, `@${tags.username}, ${excitedResponse}`);
+        this.reply(channel, tags, excitedResponse, { mention: true });
         this.botState.addMessage(`${getSetting('username')}: ${excitedResponse}`);
       } catch (error) {
         console.error('Excited response error:', error);
         // Fallback message
         const fallback = "Ooh, I'm so excited to create this image! I've started working on it and it should be ready soon!";
-        this.twitchClient.say(channel, `@${tags.username}, ${fallback}`);
+        this.reply(channel, tags, fallback, { mention: true });
         this.botState.addMessage(`${getSetting('username')}: ${fallback}`);
       }
 
@@ -431,9 +494,7 @@ class CommandHandler {
       const imageResult = await aiService.generateImage(prompt);
 
       if (!imageResult.success) {
-        this.botState.quotaUsage = Math.max(0, this.botState.quotaUsage - 1); // Refund on failure
-        setSetting('quotaUsage', this.botState.quotaUsage);
-        await saveSettings();
+        this.botState.refundQuota(); // Refund on failure
 
         let errorMessage = MESSAGES.IMAGE_ERROR;
         if (!userProvidedPrompt) {
@@ -441,7 +502,7 @@ class CommandHandler {
         } else if (imageResult.error && imageResult.error !== 'general') {
           errorMessage += ` (${imageResult.error})`;
         }
-        this.twitchClient.say(channel, errorMessage);
+        this.reply(channel, tags, errorMessage);
         return true;
       }
 
@@ -455,10 +516,8 @@ class CommandHandler {
         const imageBuffer = await axios.get(imageResult.url, { responseType: 'arraybuffer' });
         buffer = Buffer.from(imageBuffer.data, 'binary');
       } else {
-        this.botState.quotaUsage = Math.max(0, this.botState.quotaUsage - 1); // Refund on error
-        setSetting('quotaUsage', this.botState.quotaUsage);
-        await saveSettings();
-        this.twitchClient.say(channel, MESSAGES.IMAGE_ERROR);
+        this.botState.refundQuota(); // Refund on error
+        this.reply(channel, tags, MESSAGES.IMAGE_ERROR);
         return true;
       }
 
@@ -472,18 +531,16 @@ class CommandHandler {
       const publicUrl = `${getSetting('imagePublicUrl')}/${filename}`;
 
       const responseMessage = generatedFromContext
-        ? MESSAGES.IMAGE_FROM_CONTEXT(newUsage, getSetting('quotaLimit', 10)) + publicUrl
-        : MESSAGES.IMAGE_FROM_PROMPT(newUsage, getSetting('quotaLimit', 10)) + publicUrl;
+        ? MESSAGES.IMAGE_FROM_CONTEXT(newUsage, this.botState.getSetting('quotaLimit', 10)) + publicUrl
+        : MESSAGES.IMAGE_FROM_PROMPT(newUsage, this.botState.getSetting('quotaLimit', 10)) + publicUrl;
 
-      this.twitchClient.say(channel, responseMessage);
+      this.reply(channel, tags, responseMessage);
       this.botState.addMessage(`${getSetting('username')}: ${generatedFromContext ? 'Context image generated' : `Image for "${prompt}"`}`);
 
     } catch (error) {
-      this.botState.quotaUsage = Math.max(0, this.botState.quotaUsage - 1); // Refund on error
-      setSetting('quotaUsage', this.botState.quotaUsage);
-      await saveSettings();
+      this.botState.refundQuota(); // Refund on error
       console.error('Image generation error:', error);
-      this.twitchClient.say(channel, MESSAGES.IMAGE_ERROR);
+      this.reply(channel, tags, MESSAGES.IMAGE_ERROR);
     }
 
     return true;
@@ -493,7 +550,7 @@ class CommandHandler {
     if (tags.username.toLowerCase() !== 'jugglewithtim') return false;
 
     this.botState.resetQuota();
-    this.twitchClient.say(channel, MESSAGES.QUOTA_RESET);
+    this.reply(channel, tags, MESSAGES.QUOTA_RESET);
     return true;
   }
 
@@ -503,16 +560,18 @@ class CommandHandler {
     const helpMessage = `Available commands:
       ${COMMANDS.AI_MEMORY} - Toggle persistent memory on/off |
       ${COMMANDS.AI_PASSIVE_LEARNING} - Toggle passive learning on/off |
+      ${COMMANDS.AI_AUTO} - Toggle auto-messages on/off |
       ${COMMANDS.AI_TIMER} <minutes> - Set auto-message timer |
       ${COMMANDS.AI_SYS_PROMPT} <new prompt> - Update system prompt |
       ${COMMANDS.AI_RESET_PROMPT} - Reset to default prompt |
       ${COMMANDS.AI_CONTEXT} <number> - Set context history length (1-50) |
+      ${COMMANDS.AI_SUMMARY} [reset] - Show or clear the summary of older chat |
       ${COMMANDS.AI_STOP} - Pause the bot |
       ${COMMANDS.AI_START} - Resume the bot |
       !imagine <description> - Generate AI image (supports editing with image URLs) |
       ${COMMANDS.AI_HELP} - Show this help message`;
 
-    this.twitchClient.say(channel, helpMessage);
+    this.reply(channel, tags, helpMessage);
     this.botState.addMessage(`${getSetting('username')}: ${helpMessage}`);
     return true;
   }
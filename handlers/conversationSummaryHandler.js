@@ -0,0 +1,133 @@
+const aiService = require('../services/aiService');
+const twitchApiService = require('../services/twitchApiService');
+const { getSetting } = require('../config/settings');
+const { CHECK_INTERVALS, CONVERSATION_SUMMARY, BOT_STATE_EVENTS } = require('../config/constants');
+const { formatHistoryEntry } = require('../utils/chatHistory');
+
+/**
+ * Folds messages that fall out of the history window into a running "earlier in this stream"
+ * summary (enableConversationSummary), and resets it when the stream goes offline
+ */
+class ConversationSummaryHandler {
+  constructor(botState) {
+    this.botState = botState;
+    this.summarizing = false;
+    this.streamLive = null;
+    this.broadcasterId = null;
+    this.streamStatusInterval = null;
+    this.onHistoryTrimmed = (event) => this.handleHistoryTrimmed(event);
+    this.botState.on(BOT_STATE_EVENTS.HISTORY_TRIMMED, this.onHistoryTrimmed);
+    this.startStreamStatusCheck();
+  }
+
+  /**
+   * Check if summaries are enabled for the channel
+   * @returns {boolean} - True if enabled
+   */
+  isEnabled() {
+    return this.botState.getSetting('enableConversationSummary', 0) == 1;
+  }
+
+  /**
+   * Queue messages that fell out of the window and summarize once a batch is full
+   * Deleted messages and cleared history are never summarized
+   * @param {Object} event - historyTrimmed event from BotState
+   */
+  handleHistoryTrimmed(event) {
+    if (!this.isEnabled()) return;
+    if (event.reason !== 'limit' && event.reason !== 'resize') return;
+
+    if (this.botState.queueForSummary(event.removed) >= CONVERSATION_SUMMARY.BATCH_SIZE) {
+      this.summarizePending();
+    }
+  }
+
+  /**
+   * Fold the waiting messages into the summary, one batch at a time
+   * A batch only leaves the queue once it is summarized; after an error it stays first in line
+   * and the next trimmed messages retry it, so the summary keeps chat in order
+   */
+  async summarizePending() {
+    if (this.summarizing) return;
+    this.summarizing = true;
+
+    try {
+      while (this.botState.pendingSummaryMessages.length >= CONVERSATION_SUMMARY.BATCH_SIZE) {
+        const resets = this.botState.summaryResets;
+        const batch = this.botState.peekPendingSummaryMessages(CONVERSATION_SUMMARY.BATCH_SIZE);
+        this.botState.markSummarizedUsers(batch);
+
+        let summary;
+        try {
+          summary = await aiService.summarizeConversation(
+            this.botState.getConversationSummary(),
+            batch.map(record => formatHistoryEntry(record))
+          );
+        } catch (error) {
+          console.error('Conversation summary error:', error);
+          return;
+        }
+
+        // Reset while the summary was being written: the result describes chat that should be forgotten
+        if (resets !== this.botState.summaryResets) continue;
+
+        this.botState.removePendingSummaryMessages(batch);
+        if (summary) {
+          this.botState.setConversationSummary(summary);
+        }
+      }
+    } finally {
+      this.summarizing = false;
+    }
+  }
+
+  /**
+   * Start checking whether the stream is live
+   */
+  startStreamStatusCheck() {
+    this.streamStatusInterval = setInterval(() => {
+      this.checkStreamStatus();
+    }, CHECK_INTERVALS.STREAM_STATUS);
+  }
+
+  /**
+   * Reset the summary when the stream goes from live to offline
+   * Needs the Twitch API credentials (twitchClientId and twitchClientSecret)
+   */
+  async checkStreamStatus() {
+    if (!this.isEnabled()) return;
+    if (!getSetting('twitchClientId') || !getSetting('twitchClientSecret')) return;
+
+    try {
+      if (!this.broadcasterId) {
+        const user = await twitchApiService.fetchUser(this.botState.channel);
+        if (!user) return;
+        this.broadcasterId = user.id;
+      }
+
+      const stream = await twitchApiService.fetchLatestStream(this.broadcasterId);
+      if (!stream) return;
+
+      if (this.streamLive && !stream.isLive) {
+        console.log(`Stream ended in #${this.botState.channel}, resetting the conversation summary`);
+        this.botState.resetConversationSummary();
+      }
+      this.streamLive = stream.isLive;
+    } catch (error) {
+      console.error('Stream status check error:', error);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    if (this.streamStatusInterval) {
+      clearInterval(this.streamStatusInterval);
+      this.streamStatusInterval = null;
+    }
+    this.botState.off(BOT_STATE_EVENTS.HISTORY_TRIMMED, this.onHistoryTrimmed);
+  }
+}
+
+module.exports = ConversationSummaryHandler;
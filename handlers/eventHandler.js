@@ -1,7 +1,7 @@
 const aiService = require('../services/aiService');
-const { getSetting } = require('../config/settings');
-const { MESSAGES } = require('../config/constants');
+const { MESSAGES, BOT_STATE_EVENTS } = require('../config/constants');
 const { cleanResponse } = require('../utils/helpers');
+const { renderPrompt } = require('../utils/promptTemplates');
 
 class EventHandler {
   constructor(twitchClient, botState) {
@@ -9,6 +9,8 @@ class EventHandler {
     this.botState = botState;
     this.subgiftBuffer = [];
     this.subgiftInterval = null;
+    this.onQuotaReset = (event) => this.handleQuotaReset(event);
+    this.botState.on(BOT_STATE_EVENTS.QUOTA_RESET, this.onQuotaReset);
     this.initializeSubgiftProcessor();
   }
 
@@ -52,7 +54,7 @@ class EventHandler {
                  userstate['msg-param-sub-plan'] === '2000' ? 2 : 1;
 
     // Build system prompt
-    let eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a new tier ${tier} subscription from ${username}. Welcome them with enthusiastic, streamer-appropriate joy.`;
+    let eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('subscription', { user: username, tier: tier })}`;
     let logMessage = `NEW SUB: ${username} T${tier}`;
 
     // Handle the event
@@ -71,7 +73,7 @@ class EventHandler {
                  userstate['msg-param-sub-plan'] === '2000' ? 2 : 1;
 
     // Build system prompt
-    let eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a tier ${tier} resubscription from ${username} (${subMonths} months). Thank them for continued support. Keep it fresh and excited.`;
+    let eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('resubscription', { user: username, tier: tier, months: subMonths })}`;
     let logMessage = `RESUB: ${username} [${subMonths}mo] T${tier}`;
 
     // Handle the event
@@ -88,7 +90,7 @@ class EventHandler {
     const tier = methods.plan === '3000' ? 3 :
                  methods.plan === '2000' ? 2 : 1;
     // Build system prompt
-    let eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a gift of ${numbOfSubs} tier ${tier} subscriptions from ${username}. Use a celebratory tone and keep it under 423 characters.`;
+    let eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('mysteryGift', { user: username, tier: tier, count: numbOfSubs })}`;
     let logMessage = `MYSTERY GIFT: ${username} gifted ${numbOfSubs} subs at T${tier}`;
 
     // Handle the event
@@ -104,7 +106,7 @@ class EventHandler {
     const tier = methods.plan === '3000' ? 3 : methods.plan === '2000' ? 2 : 1;
     const giftMonths = parseInt(userstate['msg-param-gift-months']) || 1;
 
-    let eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a gifted tier ${tier} subscription from ${username} to ${recipient} (${giftMonths} months). Use celebratory emojis. Keep under 423 characters.`;
+    let eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('giftedSub', { user: username, recipient: recipient, tier: tier, months: giftMonths })}`;
     let logMessage = `GIFT: ${username} → ${recipient} (${giftMonths}mo T${tier})`;
 
     await this.handleSubscriptionEvent(channel, username, eventPrompt, logMessage, recipient);
@@ -120,13 +122,15 @@ class EventHandler {
     const usernames = [...new Set(events.map(event => event.username))];
     const totalGifts = events.length;
 
-    const groupedEventPrompt = `${this.botState.getSystemPrompt()}\nAcknowledge a group of ${totalGifts} gifted subscriptions from these users: ${usernames.join(', ')}. Use a celebratory and grateful tone. Keep the message concise and under 423 characters.`;
+    const groupedEventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('groupedGifts', { users: usernames.join(', '), count: totalGifts })}`;
 
     try {
       let result = await aiService.getChatResponse(
         `Grouped subgift event: ${totalGifts} gifts from ${usernames.length} users`,
         this.botState.getMessageContext(),
-        groupedEventPrompt
+        groupedEventPrompt,
+        'default_user',
+        { purpose: 'eventAlerts' }
       );
 
       let response = cleanResponse(result.response);
@@ -135,11 +139,11 @@ class EventHandler {
         response = `A big shoutout to our amazing gifters: ${usernames.join(', ')} for gifting a total of ${totalGifts} subscriptions! 🎁✨`;
       }
 
-      this.twitchClient.say(channel, response);
+      this.twitchClient.say(channel, response, { priority: 'events' });
 
     } catch (error) {
       console.error('Grouped subgift response error:', error);
-      this.twitchClient.say(channel, `Thanks to our generous gifters: ${usernames.join(', ')} for gifting ${totalGifts} subs! 🎁✨`);
+      this.twitchClient.say(channel, `Thanks to our generous gifters: ${usernames.join(', ')} for gifting ${totalGifts} subs! 🎁✨`, { priority: 'events' });
     }
   }
 
@@ -174,7 +178,7 @@ class EventHandler {
     const tier = 1;
 
     // Build system prompt
-    let eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a Prime subscription upgrade from ${username}. Welcome them with enthusiastic, streamer-appropriate joy.`;
+    let eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('primeUpgrade', { user: username })}`;
     let logMessage = `PRIME UPGRADE: ${username} T${tier}`;
 
     // Handle the event
@@ -190,7 +194,9 @@ class EventHandler {
       let result = await aiService.getChatResponse(
         logMessage,
         this.botState.getMessageContext(),
-        eventPrompt
+        eventPrompt,
+        'default_user',
+        { purpose: 'eventAlerts' }
       );
 
       // Clean response
@@ -205,14 +211,14 @@ class EventHandler {
       // Format mention
       let mention = recipient ? `@${username} → @${recipient}` : `@${username}`;
 
-      this.twitchClient.say(channel, `${mention} ${response}`);
+      this.twitchClient.say(channel, `${mention} ${response}`, { priority: 'events' });
 
     } catch (error) {
       console.error('Subscription Error:', error);
       // Send safe fallback even if AI fails
       const errorResponse = recipient ? `WOW! Massive thanks to ${username} for gifting ${recipient}! 🎁✨` :
                          `Big welcome to ${username}! 🥳`;
-      this.twitchClient.say(channel, errorResponse);
+      this.twitchClient.say(channel, errorResponse, { priority: 'events' });
     }
   }
 
@@ -221,26 +227,26 @@ class EventHandler {
    */
   async handleCheer(channel, userstate, message) {
     if (this.botState.isPaused()) return;
-    if (!getSetting('enableBitsAlerts', false)) return;
+    if (!this.botState.getSetting('enableBitsAlerts', false)) return;
 
     const username = userstate.username;
     const bits = userstate.bits;
 
-    const eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a cheer of ${bits} bits
-      from ${username}. Incorporate the bit amount naturally. Casual stream-appropriate
-      excitement. Keep under 423 characters.`;
+    const eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('cheer', { user: username, bits: bits })}`;
 
     try {
       let result = await aiService.getChatResponse(
         `Cheer event: ${bits} bits from ${username}`,
         this.botState.getMessageContext(),
-        eventPrompt
+        eventPrompt,
+        'default_user',
+        { purpose: 'eventAlerts' }
       );
 
       let response = cleanResponse(result.response);
       if (!response) response = `${bits} bits?! You're a star! ⭐`;
 
-      this.twitchClient.say(channel, `@${username} ${response}`);
+      this.twitchClient.say(channel, `@${username} ${response}`, { priority: 'events' });
     } catch (error) {
       console.error('Cheer response error:', error);
     }
@@ -251,28 +257,41 @@ class EventHandler {
    */
   async handleRaid(channel, username, viewers) {
     if (this.botState.isPaused()) return;
-    if (!getSetting('enableRaidsAlerts', false)) return;
+    if (!this.botState.getSetting('enableRaidsAlerts', false)) return;
 
-    const eventPrompt = `${this.botState.getSystemPrompt()}\nRespond to a raid from ${username}
-      with ${viewers} viewers. Create an energetic welcome message. Include the raider
-      name and viewer count naturally. Keep under 423 characters.`;
+    const eventPrompt = `${this.botState.getSystemPrompt()}\n${renderPrompt('raid', { user: username, viewers: viewers })}`;
 
     try {
       let result = await aiService.getChatResponse(
         `Raid event: ${viewers} viewers from ${username}`,
         this.botState.getMessageContext(),
-        eventPrompt
+        eventPrompt,
+        'default_user',
+        { purpose: 'eventAlerts' }
       );
 
       let response = cleanResponse(result.response);
       if (!response) response = `HOLY MOLY THE ${viewers} RAID TRAIN HAS ARRIVED! CHOO CHOO! 🚂`;
 
-      this.twitchClient.say(channel, `@${username} ${response}`);
+      this.twitchClient.say(channel, `@${username} ${response}`, { priority: 'events' });
     } catch (error) {
       console.error('Raid response error:', error);
     }
   }
 
+  /**
+   * Announce the daily image quota reset in chat
+   * Manual resets (!airesetquota) are already answered by the command
+   * @param {Object} event - quotaReset event from BotState
+   */
+  handleQuotaReset(event) {
+    if (!event.automatic) return;
+    if (this.botState.isPaused()) return;
+    if (!this.botState.getSetting('enableQuotaNotification', false)) return;
+
+    this.twitchClient.say(this.botState.channel, MESSAGES.QUOTA_AUTO_RESET, { priority: 'events' });
+  }
+
   /**
    * Clean up resources
    */
@@ -280,6 +299,7 @@ class EventHandler {
     if (this.subgiftInterval) {
       clearInterval(this.subgiftInterval);
     }
+    this.botState.off(BOT_STATE_EVENTS.QUOTA_RESET, this.onQuotaReset);
   }
 }
 
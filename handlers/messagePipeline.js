@@ -0,0 +1,291 @@
+const aiService = require('../services/aiService');
+const passiveLearningQueue = require('../services/passiveLearningQueue');
+const { getSetting } = require('../config/settings');
+const { hasElevatedPrivileges } = require('../utils/helpers');
+const { containsBannedWord } = require('../utils/outputPipeline');
+const { isThreadedReply, sendReply, isReplyToBot } = require('../utils/chatReply');
+const { parseWakeWords, findWakeWord, removeWakeWord } = require('../utils/wakeWords');
+
+/**
+ * Ordered middleware stages for incoming chat messages.
+ * Each stage gets the message context and returns true when it has fully handled
+ * the message, which stops the pipeline. Stages can be added, reordered and disabled
+ * from code (plugins) or with the messageStageOrder and disabledMessageStages settings.
+ */
+class MessagePipeline {
+  constructor(twitchClient, botState, commandHandler) {
+    this.twitchClient = twitchClient;
+    this.botState = botState;
+    this.commandHandler = commandHandler;
+    this.stages = [
+      { name: 'ignoreList', run: context => this.ignoreList(context) },
+      { name: 'moderation', run: context => this.moderation(context) },
+      { name: 'history', run: context => this.history(context) },
+      { name: 'commands', run: context => this.commands(context) },
+      { name: 'pause', run: context => this.pause(context) },
+      { name: 'mentionDetection', run: context => this.mentionDetection(context) },
+      { name: 'passiveLearning', run: context => this.passiveLearning(context) },
+      { name: 'mentionReply', run: context => this.mentionReply(context) }
+    ];
+    this.disabledStages = new Set();
+  }
+
+  /**
+   * Add a stage, at the end or next to an existing stage
+   * @param {Object} stage - { name, run(context) } where run returns true to stop the pipeline
+   * @param {Object} position - Optional { before } or { after } with a stage name
+   */
+  addStage(stage, position = {}) {
+    if (!stage || !stage.name || typeof stage.run !== 'function') {
+      throw new Error('A message stage needs a name and a run function');
+    }
+    if (this.stages.some(s => s.name === stage.name)) {
+      throw new Error(`Message stage already exists: ${stage.name}`);
+    }
+
+    const anchor = position.before || position.after;
+    if (!anchor) {
+      this.stages.push(stage);
+      return;
+    }
+
+    const index = this.stages.findIndex(s => s.name === anchor);
+    if (index === -1) {
+      throw new Error(`Unknown message stage: ${anchor}`);
+    }
+    this.stages.splice(position.before ? index : index + 1, 0, stage);
+  }
+
+  /**
+   * Remove a stage
+   * @param {string} name - Stage name
+   * @returns {boolean} - True if the stage existed
+   */
+  removeStage(name) {
+    const index = this.stages.findIndex(s => s.name === name);
+    if (index === -1) return false;
+    this.stages.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Enable or disable a stage
+   * @param {string} name - Stage name
+   * @param {boolean} enabled - Whether the stage should run
+   */
+  setStageEnabled(name, enabled) {
+    if (enabled) {
+      this.disabledStages.delete(name);
+    } else {
+      this.disabledStages.add(name);
+    }
+  }
+
+  /**
+   * Get the stages that will run, in order
+   * Stages named in messageStageOrder come first in that order, the rest keep their place after them
+   * @returns {Object[]} - Active stages
+   */
+  getStages() {
+    const order = getSetting('messageStageOrder', []) || [];
+    const disabled = getSetting('disabledMessageStages', []) || [];
+
+    const ordered = [
+      ...order.map(name => this.stages.find(s => s.name === name)).filter(Boolean),
+      ...this.stages.filter(s => !order.includes(s.name))
+    ];
+    return ordered.filter(s => !this.disabledStages.has(s.name) && !disabled.includes(s.name));
+  }
+
+  /**
+   * Run a chat message through the pipeline
+   * @param {string} channel - Channel name
+   * @param {Object} tags - Message tags
+   * @param {string} message - Message text
+   * @param {boolean} self - True if the bot sent the message
+   * @returns {Object} - The message context, with handledBy set to the stage that stopped it
+   *   (a stage that throws also stops it, so later stages never see a half-processed message;
+   *   the error is left on context.error)
+   */
+  async process(channel, tags, message, self = false) {
+    const context = {
+      channel: channel,
+      tags: tags,
+      message: message,
+      self: self,
+      username: tags.username,
+      botUsername: this.twitchClient.getUsername().toLowerCase(),
+      isBotMention: false,
+      wakeWord: null,
+      handledBy: null,
+      error: null
+    };
+
+    for (const stage of this.getStages()) {
+      try {
+        if (await stage.run(context)) {
+          context.handledBy = stage.name;
+          break;
+        }
+      } catch (error) {
+        console.error(`Message stage ${stage.name} failed:`, error);
+        context.handledBy = stage.name;
+        context.error = error;
+        break;
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Skip the bot's own messages and users on the ignore list (e.g. other bots)
+   * @param {Object} context - Message context
+   * @returns {boolean} - True if the message is ignored
+   */
+  ignoreList(context) {
+    if (context.self) return true;
+
+    const ignoredUsers = (this.botState.getSetting('ignoredUsers', []) || []).map(user => user.toLowerCase());
+    return ignoredUsers.includes(context.username.toLowerCase());
+  }
+
+  /**
+   * Skip messages with words from inputBannedWords, so they are not stored, learned from or answered
+   * Separate from the output filter's bannedWords; empty (off) by default. Mods and the broadcaster are exempt
+   * @param {Object} context - Message context
+   * @returns {boolean} - True if the message is dropped
+   */
+  moderation(context) {
+    const words = this.botState.getSetting('inputBannedWords', []) || [];
+    return !hasElevatedPrivileges(context.tags) && containsBannedWord(context.message, words);
+  }
+
+  /**
+   * Add the message to the chat history
+   * @param {Object} context - Message context
+   * @returns {boolean} - Always false
+   */
+  history(context) {
+    this.botState.addChatMessage(context.tags, context.message);
+    return false;
+  }
+
+  /**
+   * Dispatch chat commands
+   * @param {Object} context - Message context
+   * @returns {boolean} - True if a command handled the message
+   */
+  async commands(context) {
+    return await this.commandHandler.handleCommand(context.channel, context.tags, context.message);
+  }
+
+  /**
+   * Stop here while the bot is paused
+   * @param {Object} context - Message context
+   * @returns {boolean} - True if paused
+   */
+  pause(context) {
+    return this.botState.isPaused();
+  }
+
+  /**
+   * Work out whether the message is addressed to the bot
+   * The bot's name and the wakeWords match as whole words; a wake word with a probability
+   * below 1 only triggers that share of the time. Replies to the bot, messages in a thread the
+   * bot answered in and follow-ups within followUpWindow seconds count without a mention.
+   * @param {Object} context - Message context
+   * @returns {boolean} - Always false
+   */
+  mentionDetection(context) {
+    const wakeWords = [
+      { word: context.botUsername, probability: 1 },
+      ...parseWakeWords(this.botState.getSetting('wakeWords', []))
+    ];
+    const wakeWord = findWakeWord(context.message, wakeWords);
+    context.wakeWord = wakeWord ? wakeWord.word : null;
+    const followUpWindow = (Number(this.botState.getSetting('followUpWindow', 0)) || 0) * 1000;
+
+    context.isBotMention = (!!wakeWord && Math.random() < wakeWord.probability) ||
+      isReplyToBot(context.tags, context.botUsername, this.botState) ||
+      this.botState.isFollowUp(context.username, followUpWindow);
+    return false;
+  }
+
+  /**
+   * Passive learning: extract memory from messages that won't trigger bot responses
+   * The extraction is queued briefly so moderated messages can be dropped first
+   * @param {Object} context - Message context
+   * @returns {boolean} - Always false
+   */
+  passiveLearning(context) {
+    if (this.botState.getSetting('enableMemory') == 1 && this.botState.getSetting('enablePassiveLearning') == 1 && !context.isBotMention) {
+      passiveLearningQueue.enqueue({
+        channel: context.channel,
+        username: context.username,
+        messageId: context.tags.id,
+        message: context.message
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Answer messages that mention the bot
+   * @param {Object} context - Message context
+   * @returns {boolean} - True if the bot answered
+   */
+  async mentionReply(context) {
+    const { channel, tags, username, botUsername } = context;
+    if (!context.isBotMention) return false;
+
+    let basePrompt = this.botState.getSystemPrompt();
+    if (this.botState.isWaifu(username)) {
+      basePrompt += '\nRemember, you are the waifu of this user UwU, respond with extra love and passion.';
+    }
+
+    // Claim the response now so mentions sent while this one is generating see the new count
+    const prompt = this.botState.claimLimitedResponse(username, tags, basePrompt);
+    if (prompt === null) {
+      return true; // Ignore messages from users who have reached the limit
+    }
+
+    this.botState.updateLastMentionTime();
+
+    // The model should see the question, not the name or wake word it was called with
+    const userMessage = removeWakeWord(removeWakeWord(context.message, botUsername), context.wakeWord);
+    const messageContext = this.botState.getMessageContext(tags.id);
+
+    const reply = (text, mention) => sendReply(this.twitchClient, this.botState, channel, tags, text, { context: 'mentions', mention: mention });
+
+    try {
+      // Threaded replies need no mention; otherwise it only goes on the first message of a multi-message reply
+      const threaded = isThreadedReply(this.botState, tags, 'mentions');
+      const result = await aiService.getChatResponse(userMessage, messageContext, prompt, username, {
+        firstMessageReserve: threaded ? 0 : `@${username}, `.length,
+        toolContext: { botState: this.botState, channel },
+        channel: this.botState.channel,
+        vision: true,
+        onMessage: (text, index) => reply(text, index === 0)
+      });
+      let response = result.response.replace(/<think[^>]*>([\s\S]*?)<\/think>/gi, '').trim();
+
+      if (!response) {
+        response = this.botState.getSetting('fallbackMessage', 'Ooooops, something went wrong');
+        reply(response, true);
+      }
+
+      this.botState.addMessage(`${getSetting('username')}: ${response}`);
+      this.botState.recordReplyTo(username);
+    } catch (error) {
+      console.error('Chat response error:', error);
+      const fallback = this.botState.getSetting('fallbackMessage', 'Ooooops, something went wrong');
+      reply(fallback, true);
+      this.botState.addMessage(`${getSetting('username')}: ${fallback}`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = MessagePipeline;
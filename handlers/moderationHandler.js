@@ -0,0 +1,79 @@
+const memoryService = require('../services/memoryService');
+const passiveLearningQueue = require('../services/passiveLearningQueue');
+const { getSetting } = require('../config/settings');
+
+/**
+ * Keeps moderated chat out of the AI's context: deleted messages, timed-out or banned users'
+ * messages and cleared chat are removed from history and from queued passive learning
+ */
+class ModerationHandler {
+  constructor(botState) {
+    this.botState = botState;
+  }
+
+  /**
+   * Handle a message deleted by a mod
+   * @param {string} messageId - Id of the deleted message (userstate['target-msg-id'])
+   */
+  handleMessageDeleted(messageId) {
+    this.botState.removeMessageById(messageId);
+    passiveLearningQueue.cancelMessage(this.botState.channel, messageId);
+  }
+
+  /**
+   * Handle a timeout
+   * @param {string} username - Timed-out user
+   */
+  async handleTimeout(username) {
+    await this.purgeUser(username, 'timed out');
+  }
+
+  /**
+   * Handle a ban
+   * @param {string} username - Banned user
+   */
+  async handleBan(username) {
+    await this.purgeUser(username, 'banned');
+  }
+
+  /**
+   * Handle a mod clearing the whole chat
+   */
+  handleClearChat() {
+    this.botState.clearHistory();
+    const cancelled = passiveLearningQueue.cancelChannel(this.botState.channel);
+    console.log(`Chat cleared in #${this.botState.channel}: history emptied, ${cancelled} passive learning job(s) dropped`);
+  }
+
+  /**
+   * Remove a moderated user's messages, queued and running passive learning, a conversation summary
+   * that covers their messages and (with purgeModeratedMemory) what the bot learned about them this session
+   * @param {string} username - Username
+   * @param {string} action - What happened to the user (for the log)
+   */
+  async purgeUser(username, action) {
+    const removed = this.botState.removeUserMessages(username);
+    const cancelled = passiveLearningQueue.cancelUser(this.botState.channel, username);
+    memoryService.markPurged(username);
+    console.log(`${username} was ${action} in #${this.botState.channel}: ${removed} message(s) removed, ${cancelled} passive learning job(s) dropped`);
+
+    // The summary can't be edited, so it starts over from the messages still waiting for it
+    if (this.botState.summaryIncludesUser(username)) {
+      this.botState.resetConversationSummary(true);
+      console.log(`Conversation summary in #${this.botState.channel} reset, it covered messages from ${username}`);
+    }
+
+    if (this.botState.getSetting('enableMemory') != 1 || getSetting('purgeModeratedMemory', 0) != 1) return;
+
+    try {
+      const forgotten = await memoryService.removeSessionObservations(username);
+      if (forgotten > 0) {
+        console.log(`Forgot ${forgotten} memory observation(s) about ${username} from this session`);
+      }
+    } catch (error) {
+      console.error('Memory purge error:', error);
+    }
+  }
+}
+
+module.exports = ModerationHandler;
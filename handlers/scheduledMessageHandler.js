@@ -38,14 +38,14 @@ class ScheduledMessageHandler {
    * @returns {boolean} - True if should send scheduled message
    */
   shouldSendScheduledMessage() {
-    if (!getSetting('enableScheduledMessages', false)) return false;
+    if (!this.botState.getSetting('enableScheduledMessages', false)) return false;
     if (this.botState.isPaused()) return false;
 
-    const scheduledMessages = getSetting('scheduledMessages', []);
+    const scheduledMessages = this.botState.getSetting('scheduledMessages', []);
     if (scheduledMessages.length === 0) return false;
 
     // Check if it's time to send the message
-    const timerMinutes = getSetting('scheduledMessageTimer', 10);
+    const timerMinutes = this.botState.getSetting('scheduledMessageTimer', 10);
     const timerMs = timerMinutes * 60 * 1000;
 
     const now = Date.now();
@@ -58,16 +58,15 @@ class ScheduledMessageHandler {
    * Send the next scheduled message in sequence
    */
   async sendScheduledMessage() {
-    const channel = getSetting('channel');
-    const scheduledMessages = getSetting('scheduledMessages', []);
+    const channel = this.botState.channel;
+    const scheduledMessages = this.botState.getSetting('scheduledMessages', []);
 
     if (scheduledMessages.length === 0) return;
 
     // Check if the most recent message was sent by the bot
     if (this.botState.messageHistory.length > 0) {
       const mostRecentMessage = this.botState.messageHistory[this.botState.messageHistory.length - 1];
-      const botUsername = getSetting('username').toLowerCase();
-      if (mostRecentMessage && mostRecentMessage.toLowerCase().startsWith(`${botUsername}:`)) {
+      if (this.botState.isBotMessage(mostRecentMessage)) {
         // Skip sending this message and advance to the next one
         console.log('Most recent message sent by the bot, skipping scheduled message.');
         this.advanceToNextMessage();
@@ -80,7 +79,7 @@ class ScheduledMessageHandler {
     try {
       if (messageData.type === 'static') {
         // Static message - send directly
-        this.twitchClient.say(channel, messageData.content);
+        this.twitchClient.say(channel, messageData.content, { priority: 'scheduled' });
         this.botState.addMessage(`${getSetting('username')}: ${messageData.content}`);
       } else if (messageData.type === 'ai') {
         // AI message - generate using bot's personality
@@ -97,7 +96,7 @@ class ScheduledMessageHandler {
           return;
         }
 
-        this.twitchClient.say(channel, response);
+        this.twitchClient.say(channel, response, { priority: 'scheduled' });
         this.botState.addMessage(`${getSetting('username')}: ${response}`);
       }
 
@@ -116,7 +115,7 @@ class ScheduledMessageHandler {
    * Advance to the next message in the list, wrapping around if at end
    */
   advanceToNextMessage() {
-    const scheduledMessages = getSetting('scheduledMessages', []);
+    const scheduledMessages = this.botState.getSetting('scheduledMessages', []);
     if (scheduledMessages.length === 0) return;
 
     this.currentMessageIndex = (this.currentMessageIndex + 1) % scheduledMessages.length;
@@ -130,6 +129,17 @@ class ScheduledMessageHandler {
     return this.currentMessageIndex;
   }
 
+  /**
+   * Continue the sequence at a message (e.g. after a restart)
+   * @param {number} index - Message index, ignored if it is out of range
+   */
+  setCurrentIndex(index) {
+    const scheduledMessages = this.botState.getSetting('scheduledMessages', []);
+    if (Number.isInteger(index) && index >= 0 && index < scheduledMessages.length) {
+      this.currentMessageIndex = index;
+    }
+  }
+
   /**
    * Force send the next scheduled message (for testing)
    */
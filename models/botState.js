@@ -1,32 +1,76 @@
-const { getSetting, setSetting, saveSettings } = require('../config/settings');
-const { CHECK_INTERVALS, MESSAGES } = require('../config/constants');
-const { getTimestamp, hasTimeElapsed } = require('../utils/helpers');
-
-class BotState {
-  constructor() {
+const EventEmitter = require('events');
+const { getSetting, saveSettings, normalizeChannel, getChannels, getChannelSetting, setChannelSetting } = require('../config/settings');
+const { CHECK_INTERVALS, MESSAGES, CHAT_LIMITS, CHAT_ANALYTICS, CONVERSATION_SUMMARY, BOT_STATE_EVENTS, RESPONSE_LIMIT_ROLES, CHANNEL_REPLY_WINDOW } = require('../config/constants');
+const { getTimestamp, hasTimeElapsed, getUserRole } = require('../utils/helpers');
+const { createChatRecord, parseHistoryLine, formatHistoryEntry } = require('../utils/chatHistory');
+
+/**
+ * State of the bot in one channel
+ * Emits the BOT_STATE_EVENTS so handlers and the web interface can react to state changes
+ */
+class BotState extends EventEmitter {
+  /**
+   * @param {string} channel - Channel name (defaults to the primary channel)
+   */
+  constructor(channel = getChannels()[0]) {
+    super();
+    this.channel = normalizeChannel(channel);
     this.messageHistory = [];
     this.waifus = [];
     this.quotaUsage = 0;
     this.quotaResetTimer = null;
-    this.userResponseCounts = new Map();
-    this.userResponseResetTimer = null;
+    this.userResponseTimes = new Map();
+    this.channelResponseTimes = [];
     this.lastBotMentionTime = getTimestamp();
+    this.lastChatActivityTime = 0;
     this.lastScheduledMessageTime = 0;
     this.botPaused = false;
     this.systemPrompt = '';
+    this.customPrompt = null; // Additional prompt set with !aisysprompt (null = DEFAULT_ADDITIONAL_PROMPT)
+    this.botThreads = new Set();
+    this.lastReplyTimes = new Map();
+    this.chatStats = this.createChatStats();
+    this.conversationSummary = '';
+    this.summarizedUsers = new Set(); // Users whose messages were sent to the summary, so a purge knows to reset it
+    this.pendingSummaryMessages = [];
+    this.summaryResets = 0; // Lets a summary call that was running during a reset discard its result
     this.initializeState();
   }
 
+  /**
+   * Get a setting for this channel (its override in channelSettings, else the shared setting)
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Value when the setting is missing
+   * @returns {*} - Setting value
+   */
+  getSetting(key, defaultValue = null) {
+    return getChannelSetting(this.channel, key, defaultValue);
+  }
+
+  /**
+   * Emit a state event to its listeners
+   * Listener errors are logged so they can't break the state change that caused the event
+   * @param {string} event - Event name from BOT_STATE_EVENTS
+   * @param {Object} details - Event data, sent along with the channel and a timestamp
+   */
+  emitStateEvent(event, details = {}) {
+    try {
+      this.emit(event, { channel: this.channel, timestamp: getTimestamp(), ...details });
+    } catch (error) {
+      console.error(`BotState ${event} listener failed:`, error);
+    }
+  }
+
   /**
    * Initialize bot state from settings
+   * Waifus and quota usage belong to the channel and are never shared with other channels
    */
   initializeState() {
-    this.waifus = getSetting('waifus', []);
-    this.quotaUsage = getSetting('quotaUsage', 0) || 0;
+    this.waifus = [...(getChannelSetting(this.channel, 'waifus', [], false) || [])];
+    this.quotaUsage = getChannelSetting(this.channel, 'quotaUsage', 0, false) || 0;
     this.botPaused = false; // Always start unpaused
     this.updateSystemPrompt();
     this.startQuotaResetTimer();
-    this.startUserResponseResetTimer();
   }
 
   /**
@@ -36,10 +80,10 @@ class BotState {
     const { CORE_SYSTEM_PROMPT } = require('../config/constants');
     const corePrompt = CORE_SYSTEM_PROMPT(
       getSetting('username', 'bot'),
-      getSetting('channel', 'channel')
+      this.channel
     );
 
-    const additionalPrompt = getSetting('DEFAULT_ADDITIONAL_PROMPT', '');
+    const additionalPrompt = this.customPrompt !== null ? this.customPrompt : this.getSetting('DEFAULT_ADDITIONAL_PROMPT', '');
     let fullPrompt = `${corePrompt}\nAdditional Instructions:\n${additionalPrompt}`;
 
     if (this.waifus.length > 0) {
@@ -47,34 +91,208 @@ class BotState {
     }
 
     this.systemPrompt = fullPrompt;
+    this.emitStateEvent(BOT_STATE_EVENTS.PROMPT_CHANGED, { prompt: this.systemPrompt });
+  }
+
+  /**
+   * Add a chat message to history
+   * @param {Object} tags - Message tags
+   * @param {string} message - Message text
+   */
+  addChatMessage(tags, message) {
+    this.addMessage(createChatRecord(tags, message));
   }
 
   /**
    * Add a message to history
-   * @param {string} message - Message to add
+   * @param {Object|string} message - History record, or a "name: message" line (used for the bot's own messages)
    */
   addMessage(message) {
-    this.messageHistory.push(message);
+    const record = typeof message === 'string' ? parseHistoryLine(message) : message;
+    this.messageHistory.push(record);
+    if (!record.isBot) {
+      this.lastChatActivityTime = getTimestamp();
+      this.recordChatStats(record);
+    }
 
-    const maxLength = getSetting('maxHistoryLength', 15);
+    const maxLength = this.getSetting('maxHistoryLength', 15);
     if (this.messageHistory.length > maxLength) {
-      this.messageHistory.shift(); // Remove oldest message
+      const removed = this.messageHistory.shift(); // Remove oldest message
+      this.emitStateEvent(BOT_STATE_EVENTS.HISTORY_TRIMMED, { removed: [removed], reason: 'limit' });
+    }
+  }
+
+  /**
+   * Check if a history record was written by the bot
+   * @param {Object} entry - History record
+   * @returns {boolean} - True if it is the bot's own message
+   */
+  isBotMessage(entry) {
+    return !!entry && entry.isBot;
+  }
+
+  /**
+   * Get message history as chat turns for the model
+   * The bot's own messages become assistant turns, chat messages user turns formatted with the historyEntry template
+   * @param {string} excludeMessageId - Id of the message being answered; it is sent as the prompt, not as context
+   * @returns {Object[]} - Array of { role, content } messages
+   */
+  getMessageContext(excludeMessageId = null) {
+    const entries = excludeMessageId
+      ? this.messageHistory.filter(entry => entry.id !== excludeMessageId)
+      : this.messageHistory;
+
+    return entries.map(entry => {
+      if (entry.isBot) {
+        return { role: 'assistant', content: entry.text };
+      }
+      return { role: 'user', content: formatHistoryEntry(entry) };
+    });
+  }
+
+  /**
+   * Get message history as formatted lines
+   * @returns {string[]} - One line per message
+   */
+  getHistoryLines() {
+    return this.messageHistory.map(entry => formatHistoryEntry(entry));
+  }
+
+  /**
+   * Remove a deleted message from history and from the messages waiting for the conversation summary
+   * @param {string} messageId - Twitch message id
+   * @returns {boolean} - True if the message was in history
+   */
+  removeMessageById(messageId) {
+    if (!messageId) return false;
+    this.pendingSummaryMessages = this.pendingSummaryMessages.filter(entry => entry.id !== messageId);
+
+    const index = this.messageHistory.findIndex(entry => entry.id === messageId);
+    if (index === -1) return false;
+
+    const removed = this.messageHistory.splice(index, 1);
+    this.chatStats.deleted++;
+    this.emitStateEvent(BOT_STATE_EVENTS.HISTORY_TRIMMED, { removed: removed, reason: 'deleted' });
+    return true;
+  }
+
+  /**
+   * Remove all messages of a user from history and from the messages waiting for the conversation summary
+   * @param {string} username - Username
+   * @returns {number} - Messages removed from history
+   */
+  removeUserMessages(username) {
+    const name = username.toLowerCase();
+    this.pendingSummaryMessages = this.pendingSummaryMessages.filter(entry => entry.username !== name);
+    const removed = this.messageHistory.filter(entry => entry.username === name);
+    if (removed.length === 0) return 0;
+
+    this.messageHistory = this.messageHistory.filter(entry => entry.username !== name);
+    this.chatStats.deleted += removed.length;
+    this.emitStateEvent(BOT_STATE_EVENTS.HISTORY_TRIMMED, { removed: removed, reason: 'deleted' });
+    return removed.length;
+  }
+
+  /**
+   * Create empty chat statistics
+   * @returns {Object} - Chat statistics
+   */
+  createChatStats() {
+    return {
+      since: getTimestamp(),
+      messages: 0,
+      replies: 0,
+      deleted: 0,
+      uniqueChatters: 0,
+      chatters: new Map(),
+      firstTimeChatters: new Set(),
+      roles: {},
+      emotes: new Map()
+    };
+  }
+
+  /**
+   * Count a chat message in the chat statistics
+   * @param {Object} record - History record
+   */
+  recordChatStats(record) {
+    const stats = this.chatStats;
+    stats.messages++;
+    if (record.replyParent) stats.replies++;
+    if (record.firstMessage) stats.firstTimeChatters.add(record.displayName || record.username);
+    if (!stats.chatters.has(record.username)) stats.uniqueChatters++;
+    stats.chatters.set(record.username, (stats.chatters.get(record.username) || 0) + 1);
+    stats.roles[record.role] = (stats.roles[record.role] || 0) + 1;
+    for (const emote of record.emotes) {
+      stats.emotes.set(emote.name, (stats.emotes.get(emote.name) || 0) + 1);
     }
+    this.pruneChatStats();
   }
 
   /**
-   * Get message history as formatted string
-   * @returns {string} - Joined message history
+   * Keep the chat statistics bounded on long streams
+   * Past CHAT_ANALYTICS.MAX_TRACKED, the least active chatters and emotes are dropped (down to 80%
+   * so this doesn't sort on every message); only the most recent first-time chatters are kept.
+   * uniqueChatters becomes an estimate once chatters have been dropped, as returning ones count again.
    */
-  getMessageContext() {
-    return this.messageHistory.join('\n');
+  pruneChatStats() {
+    const stats = this.chatStats;
+    const prune = (map) => {
+      if (map.size <= CHAT_ANALYTICS.MAX_TRACKED) return map;
+      const kept = [...map.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, Math.floor(CHAT_ANALYTICS.MAX_TRACKED * 0.8));
+      return new Map(kept);
+    };
+
+    stats.chatters = prune(stats.chatters);
+    stats.emotes = prune(stats.emotes);
+
+    for (const name of stats.firstTimeChatters) {
+      if (stats.firstTimeChatters.size <= CHAT_ANALYTICS.MAX_FIRST_TIME_CHATTERS) break;
+      stats.firstTimeChatters.delete(name);
+    }
   }
 
   /**
-   * Clear message history
+   * Get chat analytics since the bot started
+   * @returns {Object} - Message counts, chatters, roles, top emotes and the recent message rate
+   */
+  getChatAnalytics() {
+    const stats = this.chatStats;
+    const top = (map) => [...map.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CHAT_ANALYTICS.TOP_COUNT)
+      .map(([name, count]) => ({ name: name, count: count }));
+
+    const recentMessages = this.messageHistory.filter(entry =>
+      !entry.isBot && !hasTimeElapsed(entry.timestamp, CHAT_ANALYTICS.RATE_WINDOW)
+    ).length;
+
+    return {
+      since: stats.since,
+      messages: stats.messages,
+      replies: stats.replies,
+      deleted: stats.deleted,
+      uniqueChatters: stats.uniqueChatters,
+      firstTimeChatters: [...stats.firstTimeChatters],
+      byRole: { ...stats.roles },
+      topChatters: top(stats.chatters),
+      topEmotes: top(stats.emotes),
+      recentMessagesPerMinute: Math.round(recentMessages / (CHAT_ANALYTICS.RATE_WINDOW / 60000) * 10) / 10
+    };
+  }
+
+  /**
+   * Clear message history and the messages waiting for the conversation summary
    */
   clearHistory() {
+    const removed = this.messageHistory;
     this.messageHistory = [];
+    this.pendingSummaryMessages = [];
+    if (removed.length > 0) {
+      this.emitStateEvent(BOT_STATE_EVENTS.HISTORY_TRIMMED, { removed: removed, reason: 'cleared' });
+    }
   }
 
   /**
@@ -82,12 +300,13 @@ class BotState {
    * @param {number} length - New maximum length
    */
   setMaxHistoryLength(length) {
-    setSetting('maxHistoryLength', length);
+    setChannelSetting(this.channel, 'maxHistoryLength', length);
     saveSettings();
 
     // Trim existing history if needed
-    while (this.messageHistory.length > length) {
-      this.messageHistory.shift();
+    if (this.messageHistory.length > length) {
+      const removed = this.messageHistory.splice(0, this.messageHistory.length - length);
+      this.emitStateEvent(BOT_STATE_EVENTS.HISTORY_TRIMMED, { removed: removed, reason: 'resize' });
     }
   }
 
@@ -99,7 +318,7 @@ class BotState {
   addWaifu(username) {
     if (!this.waifus.includes(username)) {
       this.waifus.push(username);
-      setSetting('waifus', this.waifus);
+      setChannelSetting(this.channel, 'waifus', this.waifus);
       saveSettings();
       this.updateSystemPrompt();
       return true;
@@ -116,7 +335,7 @@ class BotState {
     const index = this.waifus.indexOf(username);
     if (index !== -1) {
       this.waifus.splice(index, 1);
-      setSetting('waifus', this.waifus);
+      setChannelSetting(this.channel, 'waifus', this.waifus);
       saveSettings();
       this.updateSystemPrompt();
       return true;
@@ -150,18 +369,69 @@ class BotState {
 
 
 
+  /**
+   * Remember a reply thread the bot answered in
+   * @param {string} threadId - Message id of the thread's first message
+   */
+  rememberBotThread(threadId) {
+    if (!threadId) return;
+
+    this.botThreads.delete(threadId);
+    this.botThreads.add(threadId);
+    if (this.botThreads.size > CHAT_LIMITS.BOT_THREADS) {
+      this.botThreads.delete(this.botThreads.values().next().value);
+    }
+  }
+
+  /**
+   * Check if the bot answered in a reply thread
+   * @param {string} threadId - Message id of the thread's first message
+   * @returns {boolean} - True if it is a bot thread
+   */
+  isBotThread(threadId) {
+    return !!threadId && this.botThreads.has(threadId);
+  }
+
+  /**
+   * Remember when the bot last answered a user (for follow-up detection)
+   * Replies older than followUpWindow can't make a follow-up anymore and are dropped
+   * @param {string} username - Username
+   */
+  recordReplyTo(username) {
+    const windowMs = (Number(this.getSetting('followUpWindow', 0)) || 0) * 1000;
+    for (const [user, time] of this.lastReplyTimes) {
+      if (hasTimeElapsed(time, windowMs)) this.lastReplyTimes.delete(user);
+    }
+    this.lastReplyTimes.set(username.toLowerCase(), getTimestamp());
+  }
+
+  /**
+   * Check if a user speaks again within the follow-up window of the bot's last reply to them
+   * @param {string} username - Username
+   * @param {number} windowMs - Follow-up window in ms
+   * @returns {boolean} - True if the message continues the conversation
+   */
+  isFollowUp(username, windowMs) {
+    const lastReply = this.lastReplyTimes.get(username.toLowerCase());
+    return windowMs > 0 && lastReply !== undefined && !hasTimeElapsed(lastReply, windowMs);
+  }
+
   /**
    * Pause the bot
    */
   pauseBot() {
+    if (this.botPaused) return;
     this.botPaused = true;
+    this.emitStateEvent(BOT_STATE_EVENTS.PAUSED);
   }
 
   /**
    * Resume the bot
    */
   resumeBot() {
+    if (!this.botPaused) return;
     this.botPaused = false;
+    this.emitStateEvent(BOT_STATE_EVENTS.RESUMED);
   }
 
   /**
@@ -178,18 +448,30 @@ class BotState {
    */
   incrementQuota() {
     this.quotaUsage++;
-    setSetting('quotaUsage', this.quotaUsage);
+    setChannelSetting(this.channel, 'quotaUsage', this.quotaUsage);
     saveSettings();
     return this.quotaUsage;
   }
 
+  /**
+   * Give back one quota use (when generation failed)
+   */
+  refundQuota() {
+    this.quotaUsage = Math.max(0, this.quotaUsage - 1);
+    setChannelSetting(this.channel, 'quotaUsage', this.quotaUsage);
+    saveSettings();
+  }
+
   /**
    * Reset quota usage
+   * @param {boolean} automatic - True when the daily reset timer triggered it
    */
-  resetQuota() {
+  resetQuota(automatic = false) {
+    const previousUsage = this.quotaUsage;
     this.quotaUsage = 0;
-    setSetting('quotaUsage', 0);
+    setChannelSetting(this.channel, 'quotaUsage', 0);
     saveSettings();
+    this.emitStateEvent(BOT_STATE_EVENTS.QUOTA_RESET, { automatic: automatic, previousUsage: previousUsage });
   }
 
   /**
@@ -197,7 +479,7 @@ class BotState {
    * @returns {boolean} - True if quota exceeded
    */
   isQuotaExceeded() {
-    const limit = getSetting('quotaLimit', 10);
+    const limit = this.getSetting('quotaLimit', 10);
     return this.quotaUsage >= limit;
   }
 
@@ -208,7 +490,7 @@ class BotState {
   getQuotaStatus() {
     return {
       usage: this.quotaUsage,
-      limit: getSetting('quotaLimit', 10),
+      limit: this.getSetting('quotaLimit', 10),
       exceeded: this.isQuotaExceeded()
     };
   }
@@ -222,22 +504,100 @@ class BotState {
     }
 
     this.quotaResetTimer = setInterval(() => {
-      this.resetQuota();
-      console.log('Image generation quota has been automatically reset');
-
-      if (getSetting('enableQuotaNotification', false)) {
-        // This will be handled by the caller since we don't have access to twitchClient here
-        return true; // Signal that notification should be sent
-      }
+      console.log(`Image generation quota has been automatically reset in #${this.channel}`);
+      this.resetQuota(true); // Listeners announce it when enableQuotaNotification is on
     }, CHECK_INTERVALS.QUOTA_RESET);
   }
 
   /**
    * Get system prompt
+   * Includes the conversation summary of older chat when there is one
    * @returns {string} - Current system prompt
    */
   getSystemPrompt() {
-    return this.systemPrompt;
+    if (!this.conversationSummary) {
+      return this.systemPrompt;
+    }
+    return `${this.systemPrompt}\n\nEarlier in this stream (summary of chat older than the messages below):\n${this.conversationSummary}`;
+  }
+
+  /**
+   * Queue messages that fell out of the history window for the conversation summary
+   * @param {Object[]} records - History records
+   * @returns {number} - Messages waiting to be summarized
+   */
+  queueForSummary(records) {
+    this.pendingSummaryMessages.push(...records.filter(record => record.text));
+    if (this.pendingSummaryMessages.length > CONVERSATION_SUMMARY.MAX_PENDING) {
+      this.pendingSummaryMessages.splice(0, this.pendingSummaryMessages.length - CONVERSATION_SUMMARY.MAX_PENDING);
+    }
+    return this.pendingSummaryMessages.length;
+  }
+
+  /**
+   * Get the oldest messages waiting to be summarized, leaving them queued
+   * @param {number} count - Maximum number of messages
+   * @returns {Object[]} - History records
+   */
+  peekPendingSummaryMessages(count) {
+    return this.pendingSummaryMessages.slice(0, count);
+  }
+
+  /**
+   * Remember whose messages are being folded into the summary
+   * @param {Object[]} records - History records sent to the summary
+   */
+  markSummarizedUsers(records) {
+    for (const record of records) {
+      this.summarizedUsers.add(record.username);
+    }
+  }
+
+  /**
+   * Check if the summary may describe a user's messages
+   * @param {string} username - Username
+   * @returns {boolean} - True if the user's messages were sent to the summary
+   */
+  summaryIncludesUser(username) {
+    return this.summarizedUsers.has(username.toLowerCase());
+  }
+
+  /**
+   * Remove messages that made it into the summary from the queue
+   * Matches records rather than positions, since deletions may have changed the queue meanwhile
+   * @param {Object[]} records - Summarized history records
+   */
+  removePendingSummaryMessages(records) {
+    this.pendingSummaryMessages = this.pendingSummaryMessages.filter(record => !records.includes(record));
+  }
+
+  /**
+   * Get the conversation summary
+   * @returns {string} - Summary of older chat ('' when there is none)
+   */
+  getConversationSummary() {
+    return this.conversationSummary;
+  }
+
+  /**
+   * Replace the conversation summary
+   * @param {string} summary - New summary
+   */
+  setConversationSummary(summary) {
+    this.conversationSummary = String(summary || '').trim().slice(0, CONVERSATION_SUMMARY.MAX_LENGTH);
+  }
+
+  /**
+   * Forget the conversation summary and the messages waiting for it (stream end or mod command)
+   * @param {boolean} keepPending - Keep the waiting messages so they start a new summary (moderation purges)
+   */
+  resetConversationSummary(keepPending = false) {
+    this.conversationSummary = '';
+    this.summarizedUsers = new Set();
+    if (!keepPending) {
+      this.pendingSummaryMessages = [];
+    }
+    this.summaryResets++;
   }
 
   /**
@@ -245,91 +605,211 @@ class BotState {
    * @param {string} prompt - New system prompt
    */
   setSystemPrompt(prompt) {
-    const { CORE_SYSTEM_PROMPT } = require('../config/constants');
-    const corePrompt = CORE_SYSTEM_PROMPT(
-      getSetting('username', 'bot'),
-      getSetting('channel', 'channel')
-    );
-
-    this.systemPrompt = `${corePrompt}\nAdditional Instructions:\n${prompt}`;
-    this.addWaifuSystemPrompt();
+    this.customPrompt = prompt;
+    this.updateSystemPrompt();
   }
 
   /**
    * Reset system prompt to default
    */
   resetSystemPrompt() {
-    const defaultPrompt = getSetting('DEFAULT_ADDITIONAL_PROMPT', '');
-    this.setSystemPrompt(defaultPrompt);
+    this.customPrompt = null;
+    this.updateSystemPrompt();
   }
 
   /**
-   * Add waifu prompt to system prompt
+   * Get the response limit for a user from their role
+   * @param {string} username - Username
+   * @param {Object} tags - Message tags (for the role)
+   * @returns {number} - Replies allowed in the window (0 = unlimited)
    */
-  addWaifuSystemPrompt() {
-    if (this.waifus.length > 0) {
-      this.systemPrompt += `\nYou are the waifu of these people: ${this.waifus.join(', ')}`;
-    }
+  getResponseLimit(username, tags = {}) {
+    const exempt = (this.getSetting('responseLimitExemptUsers', []) || []).map(user => user.toLowerCase());
+    if (exempt.includes(username.toLowerCase())) return 0;
+
+    const role = RESPONSE_LIMIT_ROLES[getUserRole(tags)];
+    return Number(this.getSetting(role.setting, role.default)) || 0;
   }
 
   /**
-   * Increment user response count
-   * @param {string} username - Username to increment
-   * @returns {number} - New count
+   * Record a bot response to a user
+   * @param {string} username - Username
+   * @param {Object} tags - Message tags (for the role)
+   * @returns {number} - Responses to the user within the window
    */
-  incrementUserResponseCount(username) {
-    const count = this.userResponseCounts.get(username) || 0;
-    const newCount = count + 1;
-    this.userResponseCounts.set(username, newCount);
-    return newCount;
+  incrementUserResponseCount(username, tags = {}) {
+    const now = getTimestamp();
+    const times = this.userResponseTimes.get(username) || [];
+    times.push(now);
+    this.userResponseTimes.set(username, times);
+    this.channelResponseTimes.push(now);
+
+    const count = this.getUserResponseCount(username);
+    const limit = this.getResponseLimit(username, tags);
+    if (limit > 0 && count === limit) {
+      this.emitStateEvent(BOT_STATE_EVENTS.USER_LIMIT_REACHED, { username: username, limit: limit });
+    }
+    return count;
   }
 
   /**
-   * Get user response count
+   * Get how often the bot answered a user within the sliding window
    * @param {string} username - Username to check
    * @returns {number} - Current count
    */
   getUserResponseCount(username) {
-    return this.userResponseCounts.get(username) || 0;
+    const windowMs = (Number(this.getSetting('responseLimitWindow', 5)) || 5) * 60 * 1000;
+    const times = (this.userResponseTimes.get(username) || []).filter(time => !hasTimeElapsed(time, windowMs));
+
+    if (times.length > 0) {
+      this.userResponseTimes.set(username, times);
+    } else {
+      this.userResponseTimes.delete(username);
+    }
+    return times.length;
+  }
+
+  /**
+   * Check if the channel-wide cap on bot replies per minute is reached
+   * @returns {boolean} - True if the cap is reached
+   */
+  isChannelReplyLimitReached() {
+    const limit = Number(this.getSetting('channelReplyLimit', 0)) || 0;
+    this.channelResponseTimes = this.channelResponseTimes.filter(time => !hasTimeElapsed(time, CHANNEL_REPLY_WINDOW));
+    return limit > 0 && this.channelResponseTimes.length >= limit;
   }
 
   /**
    * Check if bot can respond to user
    * @param {string} username - Username to check
+   * @param {Object} tags - Message tags (for the role)
    * @returns {boolean} - True if can respond
    */
-  canRespondToUser(username) {
-    return this.getUserResponseCount(username) < 5;
+  canRespondToUser(username, tags = {}) {
+    if (this.isChannelReplyLimitReached()) return false;
+
+    const limit = this.getResponseLimit(username, tags);
+    return limit === 0 || this.getUserResponseCount(username) < limit;
+  }
+
+  /**
+   * Check the response limits and count the response in one step, before generating it,
+   * so requests still waiting for the AI can't all slip past the limit
+   * Responses count even when generation fails, to prevent spam
+   * @param {string} username - Username
+   * @param {Object} tags - Message tags (for the role)
+   * @returns {boolean} - True if the bot may respond
+   */
+  claimResponseSlot(username, tags = {}) {
+    if (!this.canRespondToUser(username, tags)) return false;
+
+    this.incrementUserResponseCount(username, tags);
+    return true;
+  }
+
+  /**
+   * Claim a response and get the system prompt to answer with
+   * Every path that answers a user with the AI (mentions, AI custom commands, hugs) goes through
+   * here so the limits work the same way: on the user's last response within the window the model
+   * is asked to say goodbye
+   * @param {string} username - Username
+   * @param {Object} tags - Message tags (for the role)
+   * @param {string} prompt - System prompt (defaults to the channel's)
+   * @returns {string|null} - System prompt for the response, or null when the user reached the limit
+   */
+  claimLimitedResponse(username, tags = {}, prompt = this.getSystemPrompt()) {
+    // Checked before claiming the slot, which counts this response
+    const isLimitResponse = this.isLimitResponse(username, tags);
+    if (!this.claimResponseSlot(username, tags)) return null;
+
+    if (isLimitResponse) {
+      return `${prompt}\nIMPORTANT: This is your final response to this user in this conversation. Respond with a polite message indicating that you've enjoyed the conversation but your social battery is running low and you need to take a break. Keep it friendly and suggest chatting again later.`;
+    }
+    return prompt;
   }
 
   /**
-   * Check if this is the limit response for user
+   * Check if this is the last response the user gets within the window
    * @param {string} username - Username to check
-   * @returns {boolean} - True if this is the 5th response
+   * @param {Object} tags - Message tags (for the role)
+   * @returns {boolean} - True if this is the last response
    */
-  isLimitResponse(username) {
-    return this.getUserResponseCount(username) === 4;
+  isLimitResponse(username, tags = {}) {
+    const limit = this.getResponseLimit(username, tags);
+    return limit > 0 && this.getUserResponseCount(username) === limit - 1;
   }
 
   /**
    * Reset all user response counts
    */
   resetUserResponseCounts() {
-    this.userResponseCounts.clear();
-    //console.log('User response counts have been reset');
+    this.userResponseTimes.clear();
+    this.channelResponseTimes = [];
+  }
+
+  /**
+   * Get the runtime state to save across restarts
+   * The pause state is left out, the bot always starts unpaused
+   * @returns {Object} - JSON-serializable state
+   */
+  toSnapshot() {
+    const stats = this.chatStats;
+    return {
+      messageHistory: this.messageHistory,
+      userResponseTimes: Object.fromEntries(this.userResponseTimes),
+      channelResponseTimes: this.channelResponseTimes,
+      lastBotMentionTime: this.lastBotMentionTime,
+      lastChatActivityTime: this.lastChatActivityTime,
+      lastScheduledMessageTime: this.lastScheduledMessageTime,
+      customPrompt: this.customPrompt,
+      botThreads: [...this.botThreads],
+      lastReplyTimes: Object.fromEntries(this.lastReplyTimes),
+      conversationSummary: this.conversationSummary,
+      summarizedUsers: [...this.summarizedUsers],
+      pendingSummaryMessages: this.pendingSummaryMessages,
+      chatStats: {
+        ...stats,
+        chatters: Object.fromEntries(stats.chatters),
+        firstTimeChatters: [...stats.firstTimeChatters],
+        emotes: Object.fromEntries(stats.emotes)
+      }
+    };
   }
 
   /**
-   * Start the user response reset timer
+   * Restore runtime state saved by toSnapshot()
+   * @param {Object} snapshot - Saved state
    */
-  startUserResponseResetTimer() {
-    if (this.userResponseResetTimer) {
-      clearInterval(this.userResponseResetTimer);
+  restoreSnapshot(snapshot) {
+    const maxLength = this.getSetting('maxHistoryLength', 15);
+    this.messageHistory = (snapshot.messageHistory || []).slice(-maxLength);
+    this.userResponseTimes = new Map(Object.entries(snapshot.userResponseTimes || {}));
+    this.channelResponseTimes = snapshot.channelResponseTimes || [];
+    this.lastBotMentionTime = snapshot.lastBotMentionTime || this.lastBotMentionTime;
+    this.lastChatActivityTime = snapshot.lastChatActivityTime || 0;
+    this.lastScheduledMessageTime = snapshot.lastScheduledMessageTime || 0;
+    this.botThreads = new Set(snapshot.botThreads || []);
+    this.lastReplyTimes = new Map(Object.entries(snapshot.lastReplyTimes || {}));
+    this.conversationSummary = snapshot.conversationSummary || '';
+    this.summarizedUsers = new Set(snapshot.summarizedUsers || []);
+    this.pendingSummaryMessages = snapshot.pendingSummaryMessages || [];
+
+    if (snapshot.chatStats) {
+      const chatters = new Map(Object.entries(snapshot.chatStats.chatters || {}));
+      this.chatStats = {
+        ...this.createChatStats(),
+        ...snapshot.chatStats,
+        uniqueChatters: snapshot.chatStats.uniqueChatters || chatters.size,
+        chatters: chatters,
+        firstTimeChatters: new Set(snapshot.chatStats.firstTimeChatters || []),
+        emotes: new Map(Object.entries(snapshot.chatStats.emotes || {}))
+      };
+      this.pruneChatStats();
     }
 
-    this.userResponseResetTimer = setInterval(() => {
-      this.resetUserResponseCounts();
-    }, CHECK_INTERVALS.USER_RESPONSE_RESET);
+    if (typeof snapshot.customPrompt === 'string') {
+      this.setSystemPrompt(snapshot.customPrompt);
+    }
   }
 
   /**
@@ -338,12 +818,13 @@ class BotState {
    */
   getStateSummary() {
     return {
+      channel: this.channel,
       messageHistoryLength: this.messageHistory.length,
       waifus: this.waifus,
       quotaUsage: this.quotaUsage,
       botPaused: this.botPaused,
       lastMentionTime: new Date(this.lastBotMentionTime).toISOString(),
-      userResponseCounts: Object.fromEntries(this.userResponseCounts)
+      userResponseCounts: Object.fromEntries([...this.userResponseTimes.keys()].map(username => [username, this.getUserResponseCount(username)]))
     };
   }
 }
@@ -1,9 +1,16 @@
 const axios = require('axios');
-const { OpenAI } = require('openai');
-const { toFile } = require('openai');
-const { getSetting } = require('../config/settings');
-const { cleanResponse } = require('../utils/helpers');
+const { getSetting, getChannelSetting } = require('../config/settings');
+const { CHAT_LIMITS, VISION_LIMITS } = require('../config/constants');
+const { cleanResponse, sleep } = require('../utils/helpers');
+const MessageSplitter = require('../utils/messageSplitter');
+const { validateMemoryInfo } = require('../utils/memorySchema');
+const { renderPrompt } = require('../utils/promptTemplates');
 const memoryService = require('./memoryService');
+const usageService = require('./usageService');
+const { getProvider, resolveRoute } = require('./providers');
+const { callWithFailover, streamWithFailover } = require('./providers/failover');
+const { getActiveImageBackend } = require('./imageBackends');
+const { listTools, getToolDefinitions, executeTool } = require('./tools');
 
 // Security constants for image downloads
 const IMAGE_DOWNLOAD_CONFIG = {
@@ -69,6 +76,16 @@ class AIService {
    * @returns {Promise<Buffer>} - Image buffer
    */
   async downloadImageSecurely(url) {
+    const image = await this.fetchImageSecurely(url);
+    return image.data;
+  }
+
+  /**
+   * Securely download an image and its content type from a URL with validation and limits
+   * @param {string} url - Image URL to download
+   * @returns {Promise<Object>} - { data: Buffer, contentType }
+   */
+  async fetchImageSecurely(url) {
     // Validate URL first
     if (!this.validateImageUrl(url)) {
       throw new Error('Invalid or unsafe URL');
@@ -98,7 +115,10 @@ class AIService {
         throw new Error('Image too large');
       }
 
-      return Buffer.from(response.data, 'binary');
+      return {
+        data: Buffer.from(response.data, 'binary'),
+        contentType: contentType.split(';')[0].trim()
+      };
     } catch (error) {
       if (error.code === 'ECONNABORTED') {
         throw new Error('Download timeout');
@@ -113,15 +133,11 @@ class AIService {
     }
   }
 
+  /**
+   * Make the OpenAI client available for OpenAI-only features (Responses API, images)
+   */
   ensureOpenAIInitialized() {
-    if (!this.openai) {
-      const apiKey = getSetting('openaiApiKey');
-      if (apiKey) {
-        this.openai = new OpenAI({
-          apiKey: apiKey,
-        });
-      }
-    }
+    this.openai = getProvider('openai').getClient();
   }
 
   /**
@@ -129,27 +145,39 @@ class AIService {
    * @param {string} input - Input text
    * @param {string} reasoningEffort - Reasoning effort level
    * @param {string} verbosity - Output verbosity level
+   * @param {string} model - Model to use
+   * @param {number} maxOutputTokens - Output token limit
    * @returns {Promise<Object>} - GPT-5 response
    */
-  async createGPT5Response(input, reasoningEffort = 'minimal', verbosity = 'low') {
+  async createGPT5Response(input, reasoningEffort = 'minimal', verbosity = 'low', model = 'gpt-5-nano', maxOutputTokens = 500) {
     this.ensureOpenAIInitialized();
     if (!this.openai) {
       throw new Error('OpenAI client not initialized - no API key provided');
     }
 
+    const request = {
+      model: model,
+      input: input,
+      max_output_tokens: maxOutputTokens
+    };
+
+    // Reasoning and verbosity options are only accepted by reasoning models
+    if (/^(gpt-5|o\d)/.test(model)) {
+      request.reasoning = { effort: reasoningEffort };
+      request.text = { verbosity: verbosity };
+    }
+
     try {
-      const response = await this.openai.responses.create({
-        model: 'gpt-5-nano',
-        input: input,
-        reasoning: { effort: reasoningEffort },
-        text: { verbosity: verbosity },
-        max_output_tokens: 500
-      });
+      const response = await this.openai.responses.create(request);
 
       return {
         success: true,
         output: response.output_text,
-        reasoning: response.reasoning_items
+        reasoning: response.reasoning_items,
+        usage: response.usage ? {
+          promptTokens: response.usage.input_tokens || 0,
+          completionTokens: response.usage.output_tokens || 0
+        } : null
       };
     } catch (error) {
       console.error('GPT-5 API error:', error);
@@ -162,68 +190,89 @@ class AIService {
   }
 
   /**
-   * Extract memory information using the appropriate AI model
+   * Extract memory information with the provider routed for memory extraction
+   * The reply is requested in JSON mode where supported and validated against the memory schema
    * @param {string} extractionPrompt - The prompt for memory extraction
-   * @returns {Promise<Object>} - Parsed memory information object
+   * @returns {Promise<Object>} - Validated memory information object (empty if nothing valid)
    */
   async extractMemoryWithAI(extractionPrompt) {
-    this.ensureOpenAIInitialized();
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
+    // Memory extraction is the first thing switched off when the budget runs low
+    if (!usageService.isPurposeAllowed('memoryExtraction')) {
+      console.log('Memory extraction skipped: AI budget limit reached');
+      return {};
     }
 
-    // Always try GPT-5-nano first for cost optimization, fallback to settings model
-    let extractedText;
+    const route = resolveRoute('memoryExtraction');
+    let extractedText = null;
 
-    const gpt5Response = await this.createGPT5Response(extractionPrompt, 'minimal', 'low');
-    if (gpt5Response.success) {
-      extractedText = cleanResponse(gpt5Response.output);
-    } else {
-      // Fallback to settings model if GPT-5 fails
-      console.log('Memory extraction: GPT-5-nano failed, falling back to settings model');
-      const extractionResponse = await this.openai.chat.completions.create({
-        model: getSetting('openaiModelName', 'gpt-4o-mini'),
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a memory extraction assistant. Analyze conversations and extract structured information for long-term storage. Only extract genuinely new information that would be valuable to remember. Respond with valid JSON only.'
-          },
-          {
-            role: 'user',
-            content: extractionPrompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.3
-      });
-      extractedText = cleanResponse(extractionResponse.choices[0].message.content);
+    // On OpenAI, use the Responses API (GPT-5-nano unless routed elsewhere) for cost optimization
+    if (route.provider.supports('responsesApi')) {
+      const responsesModel = route.model || 'gpt-5-nano';
+      const gpt5Response = await this.createGPT5Response(extractionPrompt, 'minimal', 'low', responsesModel, route.maxTokens);
+      if (gpt5Response.success) {
+        this.recordUsage('memoryExtraction', route.provider, responsesModel, gpt5Response.usage);
+        extractedText = cleanResponse(gpt5Response.output);
+      } else {
+        console.log(`Memory extraction: ${responsesModel} failed, falling back to chat completions`);
+      }
+    }
+
+    if (extractedText === null) {
+      const extractionResponse = await this.complete(route, [
+        {
+          role: 'system',
+          content: 'You are a memory extraction assistant. Analyze conversations and extract structured information for long-term storage. Only extract genuinely new information that would be valuable to remember. Respond with valid JSON only.'
+        },
+        {
+          role: 'user',
+          content: extractionPrompt
+        }
+      ], { responseFormat: 'json' });
+      extractedText = cleanResponse(extractionResponse.content);
     }
 
     // Parse the JSON response
+    let parsed;
     try {
       // Clean up the response to ensure it's valid JSON
       const jsonMatch = extractedText.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
+        parsed = JSON.parse(jsonMatch[0]);
       } else {
-        return JSON.parse(extractedText);
+        parsed = JSON.parse(extractedText);
       }
     } catch (parseError) {
       console.error('Failed to parse memory extraction response:', extractedText);
       return {}; // Return empty object on parse error
     }
+
+    const memoryInfo = validateMemoryInfo(parsed);
+    if (memoryInfo === null) {
+      console.error('Memory extraction response does not match the memory schema:', extractedText);
+      return {};
+    }
+    return memoryInfo;
   }
 
   /**
-   * Get chat response from AI (OpenAI or Ollama) with optional memory integration
+   * Get chat response from the configured LLM provider with optional memory integration
    * @param {string} userMessage - The user's message
-   * @param {string} context - Chat context
+   * @param {Object[]|string} context - Chat history turns, or background text for one-off prompts
    * @param {string} prompt - System prompt
    * @param {string} userId - User identifier for memory
+   * @param {Object} options - Delivery options
+   * @param {Function} options.onMessage - Called with (text, index) for each chat-sized message; enables splitting and streaming
+   * @param {number} options.firstMessageReserve - Characters to keep free in the first message
+   * @param {Object} options.toolContext - Context for tool calls ({ botState, channel }); enables tools
+   * @param {string} options.purpose - Model route to use (chat, eventAlerts, shoutouts, ...)
+   * @param {boolean} options.vision - Let the model see images linked in the message (uses the vision route)
+   * @param {string} options.channel - Channel whose enableMemory setting applies (defaults to the shared setting)
    * @returns {Promise<Object>} - AI response with memory info
    */
-  async getChatResponse(userMessage, context, prompt, userId = 'default_user') {
-    const memoryEnabled = getSetting('enableMemory') == 1;
+  async getChatResponse(userMessage, context, prompt, userId = 'default_user', options = {}) {
+    this.assertWithinBudget(options.purpose || 'chat');
+
+    const memoryEnabled = this.getMemorySetting(options.channel, 'enableMemory') == 1;
 
     let memoryContext = '';
     let finalPrompt = prompt;
@@ -274,12 +323,17 @@ Follow these steps for each interaction:
    ${memoryContext}`;
     }
 
-    let response;
-    if (getSetting('useOpenAI')) {
-      response = await this.getOpenAIResponse(userMessage, context, finalPrompt);
-    } else {
-      response = await this.getOllamaResponse(userMessage, context, finalPrompt);
+    const images = options.vision ? await this.getLinkedImages(userMessage) : [];
+    const messages = this.buildMessages(finalPrompt, context, userMessage, userId, images);
+    let toolOptions = options.toolContext
+      ? { ...options, toolContext: { ...options.toolContext, userId } }
+      : options;
+    if (images.length > 0) {
+      toolOptions = { ...toolOptions, purpose: 'vision' };
     }
+    const response = options.onMessage
+      ? await this.deliverProviderResponse(messages, toolOptions)
+      : await this.getProviderResponse(messages, toolOptions);
 
     // Step 3: Memory Update - Extract and store new information (only if memory is enabled)
     if (memoryEnabled) {
@@ -297,202 +351,352 @@ Follow these steps for each interaction:
   }
 
   /**
-   * Get response from OpenAI API
-   * @param {string} userMessage - The user's message
-   * @param {string} context - Chat context
+   * Build the message array sent to the provider
    * @param {string} prompt - System prompt
-   * @returns {Promise<string>} - OpenAI response
+   * @param {Object[]|string} context - Chat history turns, or background text for one-off prompts
+   * @param {string} userMessage - The user's message
+   * @param {string} userId - User identifier, used as the speaker name
+   * @param {string[]} images - Image data URLs to attach to the user's message
+   * @returns {Object[]} - Array of { role, content } messages
    */
-  async getOpenAIResponse(userMessage, context, prompt) {
-    this.ensureOpenAIInitialized();
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized - no API key provided');
+  buildMessages(prompt, context, userMessage, userId = 'default_user', images = []) {
+    const messages = [{ role: 'system', content: prompt }];
+
+    if (Array.isArray(context)) {
+      messages.push(...context);
+    } else if (context) {
+      messages[0].content += `\n\nContext:\n${context}`;
     }
 
+    // Internal prompts (commands, events) are instructions rather than chat lines
+    const text = userId === 'default_user' ? userMessage : `${userId}: ${userMessage}`;
+    messages.push({
+      role: 'user',
+      content: images.length === 0 ? text : [
+        { type: 'text', text: text },
+        ...images.map(url => ({ type: 'image_url', image_url: { url: url } }))
+      ]
+    });
+
+    return messages;
+  }
 
+  /**
+   * Download the images linked in a chat message for a vision-capable model
+   * Uses the same URL validation and size/content-type limits as reference images
+   * @param {string} message - Chat message
+   * @returns {Promise<string[]>} - Image data URLs (empty if vision is off or nothing could be loaded)
+   */
+  async getLinkedImages(message) {
+    if (getSetting('enableVision', 0) != 1) {
+      return [];
+    }
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: getSetting('openaiModelName', 'gpt-4o-mini'),
-        messages: [
-          { role: 'system', content: prompt },
-          { role: 'user', content: `Context:\n${context}\n\nUser: ${userMessage}\nBot:` },
-        ],
-        max_tokens: 150,
-      });
-      return cleanResponse(response.choices[0].message.content);
-    } catch (error) {
-      console.error('Error calling OpenAI API:', error);
-      throw new Error('Sorry, I encountered an error while generating a response.');
+    const urls = (message.match(/https?:\/\/[^\s]+/g) || [])
+      .filter(url => {
+        try {
+          return VISION_LIMITS.IMAGE_EXTENSIONS.test(new URL(url).pathname);
+        } catch (error) {
+          return false;
+        }
+      })
+      .slice(0, VISION_LIMITS.MAX_IMAGES);
+    if (urls.length === 0) {
+      return [];
+    }
+
+    const provider = resolveRoute('vision').provider;
+    if (!provider.supports('vision')) {
+      console.log(`Vision: ${provider.label} can't see images, answering without them`);
+      return [];
     }
+
+    const images = [];
+    for (const url of urls) {
+      try {
+        const image = await this.fetchImageSecurely(url);
+        images.push(`data:${image.contentType};base64,${image.data.toString('base64')}`);
+      } catch (error) {
+        console.error(`Vision: failed to load image from ${url}:`, error.message);
+      }
+    }
+    return images;
   }
 
   /**
-   * Get response from Ollama API
-   * @param {string} userMessage - The user's message
-   * @param {string} context - Chat context
-   * @param {string} prompt - System prompt
-   * @returns {Promise<string>} - Ollama response
+   * Check if tools should be offered to the model for this request
+   * @param {BaseProvider} provider - Provider handling the request
+   * @param {Object} options - Request options
+   * @returns {boolean} - True if tools should be used
    */
-  async getOllamaResponse(userMessage, context, prompt) {
-    try {
-      const response = await axios.post(getSetting('ollamaApiUrl'), {
-        model: getSetting('ollamaModelName', 'llama3.2'),
-        prompt: `Context:\n${context}\n\nUser: ${userMessage}\nBot:`,
-        system: prompt,
-        stream: false,
-      });
-      return cleanResponse(response.data.response);
-    } catch (error) {
-      console.error('Error calling Ollama API:', error);
-      throw new Error('Sorry, I encountered an error while generating a response.');
-    }
+  shouldUseTools(provider, options = {}) {
+    return !!options.toolContext &&
+      getSetting('enableTools', 0) == 1 &&
+      provider.supports('tools') &&
+      listTools().length > 0;
   }
 
   /**
-   * Generate an image using DALL-E or GPT Image 1
-   * @param {string} prompt - Image generation prompt
-   * @returns {Promise<Object>} - Image generation result
+   * Get the generation options for a resolved route
+   * @param {Object} route - Route from resolveRoute()
+   * @returns {Object} - Provider request options
    */
-  async generateImage(prompt) {
-    this.ensureOpenAIInitialized();
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized - no API key provided');
+  getRouteOptions(route) {
+    return {
+      model: route.model,
+      maxTokens: route.maxTokens,
+      temperature: route.temperature
+    };
+  }
+
+  /**
+   * Throw if the AI budget no longer allows calls for a purpose
+   * @param {string} purpose - Route purpose
+   */
+  assertWithinBudget(purpose) {
+    if (!usageService.isPurposeAllowed(purpose)) {
+      throw new Error(`AI budget limit reached - ${purpose} is paused`);
     }
+  }
 
-    const model = getSetting('imageGenerationModel', 'dall-e-3');
+  /**
+   * Record token usage for a call without blocking the caller
+   * @param {string} purpose - Route purpose
+   * @param {BaseProvider} provider - Provider that handled the call
+   * @param {string} model - Requested model (undefined for the provider default)
+   * @param {Object} usage - Token usage ({ promptTokens, completionTokens })
+   */
+  recordUsage(purpose, provider, model, usage) {
+    usageService.record({
+      purpose: purpose,
+      provider: provider.name,
+      model: model || provider.getDefaultModel(),
+      usage: usage || {}
+    }).catch(error => console.error('Usage recording error:', error));
+  }
 
-    if (model === 'dall-e-3') {
-      return this.generateImageDalle(prompt);
-    } else if (model === 'gpt-image-1-mini') {
-      return this.generateImageGPTImage1(prompt);
-    } else {
-      throw new Error(`Unsupported image generation model: ${model}`);
+  /**
+   * Run a chat completion on a route, enforcing the budget and recording usage
+   * Transient errors are retried and the providerFailover chain is tried when the provider fails
+   * @param {Object} route - Route from resolveRoute()
+   * @param {Object[]} messages - Chat messages
+   * @param {Object} extraOptions - Additional provider options (e.g. tools)
+   * @returns {Promise<Object>} - Provider result, with the provider that produced it
+   */
+  async complete(route, messages, extraOptions = {}) {
+    this.assertWithinBudget(route.purpose);
+
+    const { result, provider, model } = await callWithFailover(route, (provider, model) =>
+      provider.chat(messages, {
+        ...this.getRouteOptions(route),
+        model: model,
+        ...extraOptions
+      })
+    );
+    this.recordUsage(route.purpose, provider, model, result.usage);
+    return { ...result, provider: provider, model: model };
+  }
+
+  /**
+   * Let the model call tools until it produces a final answer
+   * @param {Object} route - Route from resolveRoute()
+   * @param {Object[]} messages - Chat messages
+   * @param {Object} toolContext - Context passed to tool handlers
+   * @returns {Promise<string>} - Final model response
+   */
+  async runToolLoop(route, messages, toolContext) {
+    const conversation = [...messages];
+    const maxIterations = getSetting('maxToolIterations', 3);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const result = await this.complete(route, conversation, {
+        tools: getToolDefinitions()
+      });
+
+      if (result.toolCalls.length === 0) {
+        return result.content;
+      }
+
+      // Tool messages are provider specific, so stay on whichever provider answered
+      const provider = result.provider;
+      route = { ...route, provider: provider, model: result.model };
+
+      conversation.push(result.message);
+      for (const toolCall of result.toolCalls) {
+        const output = await executeTool(toolCall.name, toolCall.arguments, toolContext);
+        console.log(`Tool call: ${toolCall.name}(${JSON.stringify(toolCall.arguments)}) -> ${output}`);
+        conversation.push(provider.buildToolResultMessage(toolCall, output));
+      }
     }
+
+    // Iteration cap reached, ask for an answer with what has been gathered so far
+    console.log(`Tool call limit (${maxIterations}) reached, requesting final answer`);
+    const finalResult = await this.complete(route, conversation);
+    return finalResult.content;
   }
 
   /**
-   * Generate an image using DALL-E 3
-   * @param {string} prompt - Image generation prompt
-   * @returns {Promise<Object>} - Image generation result
+   * Get response from the LLM provider routed for the request's purpose
+   * @param {Object[]} messages - Chat messages
+   * @param {Object} options - Request options (purpose, toolContext, maxTokens to override the route's limit)
+   * @returns {Promise<string>} - Provider response
    */
-  async generateImageDalle(prompt) {
+  async getProviderResponse(messages, options = {}) {
+    const route = resolveRoute(options.purpose);
+    if (options.maxTokens) {
+      route.maxTokens = options.maxTokens;
+    }
+    const provider = route.provider;
+
     try {
-      const response = await this.openai.images.generate({
-        model: 'dall-e-3',
-        prompt: prompt,
-        n: 1,
-        size: getSetting('imageSize', '1024x1024'),
-        quality: 'standard',
-        response_format: 'url'
-      });
+      if (this.shouldUseTools(provider, options)) {
+        return cleanResponse(await this.runToolLoop(route, messages, options.toolContext));
+      }
 
-      return {
-        success: true,
-        url: response.data[0].url
-      };
+      const result = await this.complete(route, messages);
+      return cleanResponse(result.content);
     } catch (error) {
-      console.error('DALL-E image generation error:', error);
+      console.error(`Error calling ${provider.label} API:`, error);
+      throw new Error('Sorry, I encountered an error while generating a response.');
+    }
+  }
 
-      let errorType = 'general';
-      const errorCode = error.code || error.response?.data?.error?.code;
-      if (errorCode) {
-        errorType = errorCode;
+  /**
+   * Get a response from the routed LLM provider and deliver it as
+   * one or more chat-sized messages, streaming it when enabled
+   * @param {Object[]} messages - Chat messages
+   * @param {Object} options - Delivery options (onMessage, firstMessageReserve, toolContext, purpose)
+   * @returns {Promise<string>} - The full text that was delivered
+   */
+  async deliverProviderResponse(messages, options) {
+    const splitter = new MessageSplitter({
+      maxLength: CHAT_LIMITS.MESSAGE_LENGTH,
+      maxMessages: getSetting('maxReplyMessages', 3),
+      firstMessageReserve: options.firstMessageReserve || 0
+    });
+    const delivered = [];
+
+    const deliver = async (messages) => {
+      for (const message of messages) {
+        if (delivered.length > 0) {
+          await sleep(getSetting('replyPacingDelay', 1500));
+        }
+        await options.onMessage(message, delivered.length);
+        delivered.push(message);
       }
+    };
 
-      return {
-        success: false,
-        error: errorType,
-        message: error.message
-      };
+    const route = resolveRoute(options.purpose);
+    const provider = route.provider;
+
+    // Replies can span several messages, so they get a larger budget than the route's single-message limit
+    const maxTokens = getSetting('streamMaxTokens', 400);
+
+    // Tool calls need the complete model turn, so replies with tools are split after generation.
+    // They get the same budget but arrive all at once instead of sentence by sentence.
+    if (getSetting('enableStreaming', 0) == 1 && !this.shouldUseTools(provider, options)) {
+      this.assertWithinBudget(route.purpose);
+
+      let usage = null;
+      let streamProvider = provider;
+      let streamModel = route.model;
+      const stream = streamWithFailover(route, (provider, model) => {
+        streamProvider = provider;
+        streamModel = model;
+        return provider.chatStream(messages, {
+          ...this.getRouteOptions(route),
+          model: model,
+          maxTokens: maxTokens,
+          onUsage: (streamUsage) => { usage = streamUsage; }
+        });
+      });
+
+      try {
+        for await (const delta of stream) {
+          await deliver(splitter.push(delta));
+          if (splitter.isFull()) break;
+        }
+      } catch (error) {
+        console.error(`Error streaming from ${streamProvider.label} API:`, error);
+        // Keep whatever was already posted to chat, otherwise let the caller fall back
+        if (delivered.length === 0) {
+          throw new Error('Sorry, I encountered an error while generating a response.');
+        }
+      }
+      this.recordUsage(route.purpose, streamProvider, streamModel, usage);
+    } else {
+      const response = await this.getProviderResponse(messages, { ...options, maxTokens: maxTokens });
+      await deliver(splitter.push(response));
     }
+
+    await deliver(splitter.flush());
+    return delivered.join(' ');
   }
 
   /**
-   * Generate an image using GPT Image 1
+   * Generate an image with the image backend selected in settings
+   * Image URLs in the prompt are downloaded as reference images when the backend supports img2img
    * @param {string} prompt - Image generation prompt
    * @returns {Promise<Object>} - Image generation result
    */
-  async generateImageGPTImage1(prompt) {
-    try {
+  async generateImage(prompt) {
+    if (!usageService.isPurposeAllowed('images')) {
+      return { success: false, error: 'budget', message: 'AI budget limit reached' };
+    }
+
+    const backend = getActiveImageBackend();
+    if (!backend.isConfigured()) {
+      throw new Error(`${backend.label} image backend is not configured`);
+    }
+
+    let imagePrompt = prompt;
+    const referenceImages = [];
+
+    if (backend.supports('img2img')) {
       // Parse URLs from prompt
       const urlRegex = /(https?:\/\/[^\s]+)/g;
       const urls = prompt.match(urlRegex) || [];
-      const cleanPrompt = prompt.replace(urlRegex, '').trim();
+      imagePrompt = prompt.replace(urlRegex, '').trim();
 
       // Prevent generation with empty prompt and no URLs
-      if (!cleanPrompt && urls.length === 0) {
+      if (!imagePrompt && urls.length === 0) {
         return { success: false, error: 'general', message: 'Empty prompt' };
       }
 
-      // For GPT Image 1, use Image API similar to DALL-E but with different model
-      if (urls.length > 0) {
-        // Download images from URLs securely and create file objects
-        const imageFiles = [];
-        for (const url of urls) {
-          try {
-            const buffer = await this.downloadImageSecurely(url);
-            // Create a file object using OpenAI's toFile helper
-            const file = await toFile(buffer, `image_${Date.now()}.png`, {
-              type: 'image/png'
-            });
-            imageFiles.push(file);
-          } catch (downloadError) {
-            console.error(`Failed to download image from ${url}:`, downloadError.message);
-            // Skip this URL and continue with others
-          }
+      // Download images from URLs securely
+      for (const url of urls) {
+        try {
+          referenceImages.push(await this.downloadImageSecurely(url));
+        } catch (downloadError) {
+          console.error(`Failed to download image from ${url}:`, downloadError.message);
+          // Skip this URL and continue with others
         }
-
-        if (imageFiles.length === 0) {
-          return { success: false, error: 'general', message: 'Failed to download any reference images' };
-        }
-
-        // Use edit endpoint for images with references
-        const response = await this.openai.images.edit({
-          model: 'gpt-image-1-mini',
-          image: imageFiles,
-          prompt: cleanPrompt,
-          n: 1,
-          size: getSetting('imageSize', '1024x1024'),
-          quality: getSetting('imageQuality', 'medium'),
-          moderation: getSetting('imageModeration', 'low')
-        });
-
-        return {
-          success: true,
-          data: response.data[0].b64_json
-        };
-      } else {
-        // Use generate endpoint for text-only prompts
-        const response = await this.openai.images.generate({
-          model: 'gpt-image-1-mini',
-          prompt: cleanPrompt,
-          n: 1,
-          size: getSetting('imageSize', '1024x1024'),
-          quality: getSetting('imageQuality', 'medium'),
-          moderation: getSetting('imageModeration', 'low')
-        });
-
-        return {
-          success: true,
-          data: response.data[0].b64_json
-        };
       }
-    } catch (error) {
-      console.error('GPT Image 1 generation error:', error);
 
-      let errorType = 'general';
-      const errorCode = error.code || error.response?.data?.error?.code;
-      if (errorCode) {
-        errorType = errorCode;
+      if (urls.length > 0 && referenceImages.length === 0) {
+        return { success: false, error: 'general', message: 'Failed to download any reference images' };
       }
+    }
 
-      return {
-        success: false,
-        error: errorType,
-        message: error.message
-      };
+    const result = await backend.generate(imagePrompt, referenceImages);
+    if (result.success) {
+      this.recordImageUsage(backend, result.model);
     }
+    return result;
+  }
+
+  /**
+   * Record a generated image without blocking the caller
+   * @param {BaseImageBackend} backend - Backend that generated the image
+   * @param {string} model - Image model
+   */
+  recordImageUsage(backend, model) {
+    usageService.record({
+      purpose: 'images',
+      provider: backend.name,
+      model: model,
+      images: 1
+    }).catch(error => console.error('Usage recording error:', error));
   }
 
   /**
@@ -509,47 +713,16 @@ Follow these steps for each interaction:
 
     try {
       // Build the extraction prompt
-      const extractionPrompt = `Analyze what this user said and extract any new information that falls into these categories:
-- Basic Identity (age, gender, location, job title, education level, etc.)
-- Behaviors (interests, habits, etc.)
-- Preferences (communication style, preferred language, etc.)
-- Goals (goals, targets, aspirations, etc.)
-- Relationships (personal and professional relationships up to 3 degrees of separation)
-
-CRITICAL EXTRACTION RULES:
-1. ONLY extract information that the user provides about THEMSELVES. Do NOT extract names, usernames, or handles that the user uses to address or greet OTHER people.
-2. If the user mentions someone else's name/username/handle, put that information in the "relationships" section to create a separate entity, NOT in the user's identity.
-3. Do NOT treat greeting phrases like "Hey timmmmy" or "What's up Tunney" as information about the user's own identity - these are addresses to others.
-4. Only self-descriptive statements like "I'm 25 years old" or "I live in Seattle" should go in identity/behaviors/preferences/goals.
-5. Do NOT extract information that appears to be what the bot knows or is telling the user.
-
-Format your response as a JSON object with these possible keys:
-{
-  "identity": ["fact1", "fact2"],
-  "behaviors": ["behavior1", "behavior2"],
-  "preferences": ["preference1", "preference2"],
-  "goals": ["goal1", "goal2"],
-  "relationships": [
-    {
-      "entity": "entity_name",
-      "entityType": "person|organization|event",
-      "relationType": "works_at|friends_with|family_of|etc",
-      "observations": ["fact about entity"]
-    }
-  ]
-}
-
-Only include categories that have new information from the user's message. If no new information, return empty object {}.
-
-User's message: ${userMessage}`;
+      const extractionPrompt = renderPrompt('memoryExtraction', { user: userId, message: userMessage });
 
-      // Use shared helper method for AI extraction
+      // Use shared helper method for AI extraction (moderation may purge the user meanwhile)
+      const purgeCount = memoryService.getPurgeCount(userId);
       const newInfo = await this.extractMemoryWithAI(extractionPrompt);
 
       // Only update if there's actual new information
       if (Object.keys(newInfo).length > 0) {
         console.log('Updating memory with new information:', newInfo);
-        await memoryService.updateMemory(userId, newInfo);
+        await memoryService.updateMemory(userId, newInfo, purgeCount);
       }
 
     } catch (error) {
@@ -557,63 +730,48 @@ User's message: ${userMessage}`;
     }
   }
 
+  /**
+   * Read a memory setting for a channel, or the shared one when no channel is given
+   * @param {string|null} channel - Channel name
+   * @param {string} key - Setting key
+   * @returns {*} - Setting value
+   */
+  getMemorySetting(channel, key) {
+    return channel ? getChannelSetting(channel, key) : getSetting(key);
+  }
+
   /**
    * Extract memory from any user message (passive learning)
    * @param {string} userMessage - User's message
    * @param {string} userId - User identifier
+   * @param {string} channel - Channel the message came from (its settings apply)
    */
-  async extractMemoryFromMessage(userMessage, userId = 'default_user') {
-    const memoryEnabled = getSetting('enableMemory') == 1;
-    const passiveLearningEnabled = getSetting('enablePassiveLearning') == 1;
+  async extractMemoryFromMessage(userMessage, userId = 'default_user', channel = null) {
+    const memoryEnabled = this.getMemorySetting(channel, 'enableMemory') == 1;
+    const passiveLearningEnabled = this.getMemorySetting(channel, 'enablePassiveLearning') == 1;
 
     // Only extract if both memory and passive learning are enabled
     if (!memoryEnabled || !passiveLearningEnabled) {
       return;
     }
 
-    try {
-      // Build the extraction prompt
-      const extractionPrompt = `Analyze what this user said and extract any new information that falls into these categories:
-- Basic Identity (age, gender, location, job title, education level, etc.)
-- Behaviors (interests, habits, etc.)
-- Preferences (communication style, preferred language, etc.)
-- Goals (goals, targets, aspirations, etc.)
-- Relationships (personal and professional relationships up to 3 degrees of separation)
-
-CRITICAL EXTRACTION RULES:
-1. ONLY extract information that the user provides about THEMSELVES. Do NOT extract names, usernames, or handles that the user uses to address or greet OTHER people.
-2. If the user mentions someone else's name/username/handle, put that information in the "relationships" section to create a separate entity, NOT in the user's identity.
-3. Do NOT treat greeting phrases like "Hey timmmmy" or "What's up Tunney" as information about the user's own identity - these are addresses to others.
-4. Only self-descriptive statements like "I'm 25 years old" or "I live in Seattle" should go in identity/behaviors/preferences/goals.
-5. Do NOT extract information that appears to be what the bot knows or is telling the user.
-
-Format your response as a JSON object with these possible keys:
-{
-  "identity": ["fact1", "fact2"],
-  "behaviors": ["behavior1", "behavior2"],
-  "preferences": ["preference1", "preference2"],
-  "goals": ["goal1", "goal2"],
-  "relationships": [
-    {
-      "entity": "entity_name",
-      "entityType": "person|organization|event",
-      "relationType": "works_at|friends_with|family_of|etc",
-      "observations": ["fact about entity"]
+    // Passive learning is the first thing switched off when the budget runs low
+    if (!usageService.isPurposeAllowed('memoryExtraction')) {
+      return;
     }
-  ]
-}
-
-Only include categories that have new information from the user's message. If no new information, return empty object {}.
 
-User's message: ${userMessage}`;
+    try {
+      // Build the extraction prompt
+      const extractionPrompt = renderPrompt('memoryExtraction', { user: userId, message: userMessage });
 
-      // Use shared helper method for AI extraction
+      // Use shared helper method for AI extraction (moderation may purge the user meanwhile)
+      const purgeCount = memoryService.getPurgeCount(userId);
       const newInfo = await this.extractMemoryWithAI(extractionPrompt);
 
       // Only update if there's actual new information
       if (Object.keys(newInfo).length > 0) {
         console.log('Passive learning: Updating memory with new information:', newInfo);
-        await memoryService.updateMemory(userId, newInfo);
+        await memoryService.updateMemory(userId, newInfo, purgeCount);
       }
 
     } catch (error) {
@@ -629,36 +787,49 @@ User's message: ${userMessage}`;
    * @returns {Promise<string>} - Generated prompt
    */
   async generatePromptFromContext(messageHistory) {
-    this.ensureOpenAIInitialized();
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized - no API key provided');
-    }
-
     const context = messageHistory.slice(-15).join('\n');
 
+    const route = resolveRoute('imagePrompt');
+
     try {
-      const promptResponse = await this.openai.chat.completions.create({
-        model: getSetting('openaiModelName', 'gpt-4o-mini'),
-        messages: [
-          {
-            role: 'system',
-            content: `Generate a concise image generation prompt based on recent chat context. Focus on visual elements and key themes. Respond ONLY with the prompt. Format: "Vibrant [style] of [subject], [details], [medium/art style]"`
-          },
-          {
-            role: 'user',
-            content: `Recent chat (latest first):\n${context}\n\nVisual concept:`
-          }
-        ],
-        max_tokens: 300,
-        temperature: 0.7
-      });
+      const promptResponse = await this.complete(route, [
+        {
+          role: 'system',
+          content: `Generate a concise image generation prompt based on recent chat context. Focus on visual elements and key themes. Respond ONLY with the prompt. Format: "Vibrant [style] of [subject], [details], [medium/art style]"`
+        },
+        {
+          role: 'user',
+          content: `Recent chat (latest first):\n${context}\n\nVisual concept:`
+        }
+      ]);
 
-      return cleanResponse(promptResponse.choices[0].message.content);
+      return cleanResponse(promptResponse.content);
     } catch (error) {
       console.error('Error generating prompt from context:', error);
       throw error;
     }
   }
+
+  /**
+   * Fold older chat messages into the running conversation summary
+   * @param {string} summary - Summary so far ('' for none)
+   * @param {string[]} lines - Formatted chat lines that fell out of the history window
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeConversation(summary, lines) {
+    const route = resolveRoute('conversationSummary');
+    const result = await this.complete(route, [
+      {
+        role: 'user',
+        content: renderPrompt('conversationSummary', {
+          summary: summary || '(nothing yet)',
+          messages: lines.join('\n')
+        })
+      }
+    ]);
+
+    return cleanResponse(result.content);
+  }
 }
 
 module.exports = new AIService();
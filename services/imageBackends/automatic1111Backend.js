@@ -0,0 +1,80 @@
+const axios = require('axios');
+const { getSetting } = require('../../config/settings');
+const BaseImageBackend = require('./baseImageBackend');
+
+/**
+ * Local Stable Diffusion through the AUTOMATIC1111 WebUI API (start the WebUI with --api)
+ */
+class Automatic1111Backend extends BaseImageBackend {
+  constructor() {
+    super('automatic1111', 'Stable Diffusion WebUI (AUTOMATIC1111)');
+  }
+
+  getCapabilities() {
+    return {
+      img2img: true
+    };
+  }
+
+  isConfigured() {
+    return !!getSetting('automatic1111ApiUrl');
+  }
+
+  /**
+   * Get the API base URL without a trailing slash
+   * @returns {string} - Base URL
+   */
+  getBaseUrl() {
+    return getSetting('automatic1111ApiUrl', 'http://127.0.0.1:7860').replace(/\/+$/, '');
+  }
+
+  /**
+   * Build the generation parameters shared by txt2img and img2img
+   * @param {string} prompt - Image prompt
+   * @returns {Object} - Request body
+   */
+  buildRequest(prompt) {
+    const { width, height } = this.getSize();
+    return {
+      prompt: prompt,
+      negative_prompt: getSetting('imageNegativePrompt', ''),
+      width: width,
+      height: height,
+      steps: getSetting('imageSteps', 25),
+      sampler_name: getSetting('automatic1111Sampler') || 'Euler a',
+      cfg_scale: getSetting('imageCfgScale', 7)
+    };
+  }
+
+  async generate(prompt, referenceImages = []) {
+    const request = this.buildRequest(prompt);
+    let endpoint = 'txt2img';
+
+    if (referenceImages.length > 0) {
+      endpoint = 'img2img';
+      request.init_images = referenceImages.map(buffer => buffer.toString('base64'));
+      request.denoising_strength = getSetting('imageDenoisingStrength', 0.6);
+    }
+
+    try {
+      const response = await axios.post(`${this.getBaseUrl()}/sdapi/v1/${endpoint}`, request, {
+        timeout: getSetting('localImageTimeout', 180000)
+      });
+
+      const image = response.data.images?.[0];
+      if (!image) {
+        return { success: false, error: 'general', message: 'No image returned' };
+      }
+
+      return {
+        success: true,
+        data: image,
+        model: this.name
+      };
+    } catch (error) {
+      return this.toErrorResult(error);
+    }
+  }
+}
+
+module.exports = Automatic1111Backend;
@@ -0,0 +1,86 @@
+const { getSetting } = require('../../config/settings');
+
+/**
+ * Base class for image generation backends.
+ * Backends turn a text prompt (plus optional reference images) into one image,
+ * returned either as base64 `data` or a downloadable `url`.
+ */
+class BaseImageBackend {
+  /**
+   * @param {string} name - Registry key used in settings (e.g. "automatic1111")
+   * @param {string} label - Human readable name for logs and the web UI
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Describe which optional features this backend supports
+   * @returns {Object} - Capability flags
+   */
+  getCapabilities() {
+    return {
+      img2img: false
+    };
+  }
+
+  /**
+   * Check if the backend supports a capability
+   * @param {string} capability - Capability name
+   * @returns {boolean} - True if supported
+   */
+  supports(capability) {
+    return !!this.getCapabilities()[capability];
+  }
+
+  /**
+   * Check if the backend has the settings it needs to make requests
+   * @returns {boolean} - True if configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Get the requested image size from settings
+   * @returns {Object} - { width, height }
+   */
+  getSize() {
+    const [width, height] = String(getSetting('imageSize', '1024x1024')).split('x').map(Number);
+    return { width: width || 1024, height: height || 1024 };
+  }
+
+  /**
+   * Turn a failed request into an error result for the caller
+   * @param {Error} error - Request error
+   * @returns {Object} - { success: false, error, message }
+   */
+  toErrorResult(error) {
+    console.error(`${this.label} image generation error:`, error);
+
+    let errorType = 'general';
+    const errorCode = error.code || error.response?.data?.error?.code;
+    if (errorCode) {
+      errorType = errorCode;
+    }
+
+    return {
+      success: false,
+      error: errorType,
+      message: error.message
+    };
+  }
+
+  /**
+   * Generate an image
+   * @param {string} prompt - Image prompt
+   * @param {Buffer[]} referenceImages - Reference images for img2img (empty for txt2img)
+   * @returns {Promise<Object>} - { success, data (base64) or url, model } or { success: false, error, message }
+   */
+  async generate(prompt, referenceImages = []) {
+    throw new Error(`${this.label} image backend does not implement generate()`);
+  }
+}
+
+module.exports = BaseImageBackend;
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const { getSetting } = require('../../config/settings');
+const { sleep } = require('../../utils/helpers');
+const BaseImageBackend = require('./baseImageBackend');
+
+const POLL_INTERVAL = 1000; // 1 second
+
+/**
+ * Local Stable Diffusion through the ComfyUI API, using a built-in
+ * checkpoint -> KSampler -> SaveImage workflow
+ */
+class ComfyUIBackend extends BaseImageBackend {
+  constructor() {
+    super('comfyui', 'ComfyUI');
+  }
+
+  getCapabilities() {
+    return {
+      img2img: true
+    };
+  }
+
+  isConfigured() {
+    return !!getSetting('comfyuiApiUrl') && !!getSetting('comfyuiCheckpoint');
+  }
+
+  /**
+   * Get the API base URL without a trailing slash
+   * @returns {string} - Base URL
+   */
+  getBaseUrl() {
+    return getSetting('comfyuiApiUrl', 'http://127.0.0.1:8188').replace(/\/+$/, '');
+  }
+
+  /**
+   * Upload a reference image to ComfyUI's input folder
+   * @param {Buffer} buffer - Image data
+   * @returns {Promise<string>} - Image name for the LoadImage node
+   */
+  async uploadImage(buffer) {
+    const form = new FormData();
+    form.append('image', new Blob([buffer], { type: 'image/png' }), `reference_${Date.now()}.png`);
+    form.append('overwrite', 'true');
+
+    const response = await axios.post(`${this.getBaseUrl()}/upload/image`, form);
+    const { name, subfolder } = response.data;
+    return subfolder ? `${subfolder}/${name}` : name;
+  }
+
+  /**
+   * Build the workflow in ComfyUI's API format
+   * @param {string} prompt - Image prompt
+   * @param {string|null} referenceImage - Uploaded image name for img2img, or null for txt2img
+   * @returns {Object} - Workflow graph
+   */
+  buildWorkflow(prompt, referenceImage) {
+    const { width, height } = this.getSize();
+    const workflow = {
+      checkpoint: {
+        class_type: 'CheckpointLoaderSimple',
+        inputs: { ckpt_name: getSetting('comfyuiCheckpoint') }
+      },
+      positive: {
+        class_type: 'CLIPTextEncode',
+        inputs: { text: prompt, clip: ['checkpoint', 1] }
+      },
+      negative: {
+        class_type: 'CLIPTextEncode',
+        inputs: { text: getSetting('imageNegativePrompt', ''), clip: ['checkpoint', 1] }
+      },
+      latent: {
+        class_type: 'EmptyLatentImage',
+        inputs: { width: width, height: height, batch_size: 1 }
+      },
+      sampler: {
+        class_type: 'KSampler',
+        inputs: {
+          seed: Math.floor(Math.random() * Number.MAX_SAFE_INTEGER),
+          steps: getSetting('imageSteps', 25),
+          cfg: getSetting('imageCfgScale', 7),
+          sampler_name: getSetting('comfyuiSampler') || 'euler',
+          scheduler: 'normal',
+          denoise: 1,
+          model: ['checkpoint', 0],
+          positive: ['positive', 0],
+          negative: ['negative', 0],
+          latent_image: ['latent', 0]
+        }
+      },
+      decode: {
+        class_type: 'VAEDecode',
+        inputs: { samples: ['sampler', 0], vae: ['checkpoint', 2] }
+      },
+      save: {
+        class_type: 'SaveImage',
+        inputs: { filename_prefix: 'TwitchAIchatbot', images: ['decode', 0] }
+      }
+    };
+
+    // img2img: start from the encoded reference image instead of an empty latent
+    if (referenceImage) {
+      workflow.reference = {
+        class_type: 'LoadImage',
+        inputs: { image: referenceImage }
+      };
+      workflow.latent = {
+        class_type: 'VAEEncode',
+        inputs: { pixels: ['reference', 0], vae: ['checkpoint', 2] }
+      };
+      workflow.sampler.inputs.denoise = getSetting('imageDenoisingStrength', 0.6);
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Wait for a queued prompt to finish
+   * @param {string} promptId - Prompt id from /prompt
+   * @returns {Promise<Object>} - Output image reference ({ filename, subfolder, type })
+   */
+  async waitForImage(promptId) {
+    const deadline = Date.now() + getSetting('localImageTimeout', 180000);
+
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL);
+
+      const response = await axios.get(`${this.getBaseUrl()}/history/${promptId}`);
+      const entry = response.data[promptId];
+      if (!entry) continue;
+
+      if (entry.status?.status_str === 'error') {
+        throw new Error('ComfyUI workflow failed');
+      }
+
+      const image = entry.outputs?.save?.images?.[0];
+      if (image) {
+        return image;
+      }
+    }
+
+    throw new Error('Image generation timeout');
+  }
+
+  async generate(prompt, referenceImages = []) {
+    try {
+      // The built-in workflow takes a single reference image
+      const referenceImage = referenceImages.length > 0 ? await this.uploadImage(referenceImages[0]) : null;
+
+      const queued = await axios.post(`${this.getBaseUrl()}/prompt`, {
+        prompt: this.buildWorkflow(prompt, referenceImage)
+      });
+
+      const image = await this.waitForImage(queued.data.prompt_id);
+      const file = await axios.get(`${this.getBaseUrl()}/view`, {
+        params: { filename: image.filename, subfolder: image.subfolder, type: image.type },
+        responseType: 'arraybuffer'
+      });
+
+      return {
+        success: true,
+        data: Buffer.from(file.data).toString('base64'),
+        model: getSetting('comfyuiCheckpoint')
+      };
+    } catch (error) {
+      return this.toErrorResult(error);
+    }
+  }
+}
+
+module.exports = ComfyUIBackend;
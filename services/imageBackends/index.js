@@ -0,0 +1,57 @@
+const { getSetting } = require('../../config/settings');
+const OpenAIImageBackend = require('./openaiImageBackend');
+const Automatic1111Backend = require('./automatic1111Backend');
+const ComfyUIBackend = require('./comfyuiBackend');
+const MockImageBackend = require('./mockImageBackend');
+
+const backends = new Map();
+
+/**
+ * Register an image generation backend
+ * @param {BaseImageBackend} backend - Backend instance
+ */
+function registerImageBackend(backend) {
+  backends.set(backend.name, backend);
+}
+
+/**
+ * Get an image backend by name
+ * @param {string} name - Backend name
+ * @returns {BaseImageBackend|null} - Backend or null if unknown
+ */
+function getImageBackend(name) {
+  return backends.get(name) || null;
+}
+
+/**
+ * Get all registered image backends
+ * @returns {BaseImageBackend[]} - Registered backends
+ */
+function listImageBackends() {
+  return [...backends.values()];
+}
+
+/**
+ * Get the image backend selected in settings (OpenAI unless imageBackend is set)
+ * @returns {BaseImageBackend} - Active backend
+ */
+function getActiveImageBackend() {
+  const name = getSetting('imageBackend') || 'openai';
+  const backend = getImageBackend(name);
+  if (!backend) {
+    throw new Error(`Unknown image backend: ${name}`);
+  }
+  return backend;
+}
+
+registerImageBackend(new OpenAIImageBackend());
+registerImageBackend(new Automatic1111Backend());
+registerImageBackend(new ComfyUIBackend());
+registerImageBackend(new MockImageBackend());
+
+module.exports = {
+  registerImageBackend,
+  getImageBackend,
+  listImageBackends,
+  getActiveImageBackend
+};
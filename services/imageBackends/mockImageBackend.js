@@ -0,0 +1,26 @@
+const BaseImageBackend = require('./baseImageBackend');
+
+// 1x1 transparent PNG
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * Offline image backend for tests and demos, always returns a placeholder PNG
+ * Text-to-image only (the base capabilities), so prompts with image URLs never trigger downloads
+ */
+class MockImageBackend extends BaseImageBackend {
+  constructor() {
+    super('mock', 'Mock (placeholder image)');
+    this.prompts = [];
+  }
+
+  async generate(prompt, referenceImages = []) {
+    this.prompts.push({ prompt: prompt, referenceImages: referenceImages.length, timestamp: Date.now() });
+    return {
+      success: true,
+      data: PLACEHOLDER_PNG,
+      model: 'mock'
+    };
+  }
+}
+
+module.exports = MockImageBackend;
@@ -0,0 +1,109 @@
+const { toFile } = require('openai');
+const { getSetting } = require('../../config/settings');
+const { getProvider } = require('../providers');
+const BaseImageBackend = require('./baseImageBackend');
+
+const SUPPORTED_MODELS = ['dall-e-3', 'gpt-image-1-mini'];
+
+class OpenAIImageBackend extends BaseImageBackend {
+  constructor() {
+    super('openai', 'OpenAI (DALL-E 3 / GPT Image 1)');
+  }
+
+  /**
+   * Get the configured OpenAI image model
+   * @returns {string} - Model name
+   */
+  getModel() {
+    return getSetting('imageGenerationModel', 'dall-e-3');
+  }
+
+  getCapabilities() {
+    return {
+      // Only GPT Image 1 can edit reference images
+      img2img: this.getModel() === 'gpt-image-1-mini'
+    };
+  }
+
+  isConfigured() {
+    return !!getProvider('openai').getClient();
+  }
+
+  async generate(prompt, referenceImages = []) {
+    const model = this.getModel();
+    if (!SUPPORTED_MODELS.includes(model)) {
+      throw new Error(`Unsupported image generation model: ${model}`);
+    }
+
+    const client = getProvider('openai').getClient();
+    if (!client) {
+      throw new Error('OpenAI client not initialized - no API key provided');
+    }
+
+    try {
+      if (model === 'dall-e-3') {
+        const response = await client.images.generate({
+          model: 'dall-e-3',
+          prompt: prompt,
+          n: 1,
+          size: getSetting('imageSize', '1024x1024'),
+          quality: 'standard',
+          response_format: 'url'
+        });
+
+        return {
+          success: true,
+          url: response.data[0].url,
+          model: model
+        };
+      }
+
+      if (referenceImages.length > 0) {
+        // Create file objects using OpenAI's toFile helper
+        const imageFiles = [];
+        for (const [index, buffer] of referenceImages.entries()) {
+          imageFiles.push(await toFile(buffer, `image_${Date.now()}_${index}.png`, {
+            type: 'image/png'
+          }));
+        }
+
+        // Use edit endpoint for images with references
+        const response = await client.images.edit({
+          model: 'gpt-image-1-mini',
+          image: imageFiles,
+          prompt: prompt,
+          n: 1,
+          size: getSetting('imageSize', '1024x1024'),
+          quality: getSetting('imageQuality', 'medium'),
+          moderation: getSetting('imageModeration', 'low')
+        });
+
+        return {
+          success: true,
+          data: response.data[0].b64_json,
+          model: model
+        };
+      }
+
+      // Use generate endpoint for text-only prompts
+      const response = await client.images.generate({
+        model: 'gpt-image-1-mini',
+        prompt: prompt,
+        n: 1,
+        size: getSetting('imageSize', '1024x1024'),
+        quality: getSetting('imageQuality', 'medium'),
+        moderation: getSetting('imageModeration', 'low')
+      });
+
+      return {
+        success: true,
+        data: response.data[0].b64_json,
+        model: model
+      };
+    } catch (error) {
+      return this.toErrorResult(error);
+    }
+  }
+}
+
+module.exports = OpenAIImageBackend;
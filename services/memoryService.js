@@ -5,6 +5,8 @@ class MemoryService {
   constructor() {
     this.memoryFilePath = path.join(process.cwd(), 'memory.json');
     this.isInitialized = false;
+    this.sessionObservations = new Map(); // Entity name -> observations added since startup
+    this.purgeCounts = new Map(); // Entity name -> times the user was purged by moderation
   }
 
   /**
@@ -185,11 +187,18 @@ class MemoryService {
    * Update memory with new information following the specified pattern
    * @param {string} userId - User identifier
    * @param {Object} newInfo - New information to store
+   * @param {number|null} purgeCount - getPurgeCount() when the extraction started; the update is
+   *   dropped if the user was purged since, as it comes from messages moderation removed
    */
-  async updateMemory(userId = 'default_user', newInfo) {
+  async updateMemory(userId = 'default_user', newInfo, purgeCount = null) {
     // Normalize userId to lowercase (Twitch usernames are case-insensitive)
     const normalizedUserId = userId.toLowerCase();
 
+    if (purgeCount !== null && purgeCount !== this.getPurgeCount(normalizedUserId)) {
+      console.log(`Dropping memory update for ${normalizedUserId}, who was moderated while it was extracted`);
+      return;
+    }
+
     const entities = [];
     const relations = [];
     const observations = [];
@@ -266,7 +275,68 @@ class MemoryService {
     }
 
     if (observations.length > 0) {
-      await this.addObservations(observations);
+      const results = await this.addObservations(observations);
+      this.recordSessionObservations(results);
+    }
+  }
+
+  /**
+   * Remember which observations were added in this session
+   * @param {Array} results - Results of addObservations()
+   */
+  recordSessionObservations(results) {
+    for (const { entityName, addedObservations } of results) {
+      const added = this.sessionObservations.get(entityName) || new Set();
+      addedObservations.forEach(observation => added.add(observation));
+      this.sessionObservations.set(entityName, added);
+    }
+  }
+
+  /**
+   * Mark a user as purged by moderation, so memory extractions already running for them are dropped
+   * @param {string} userId - User identifier
+   */
+  markPurged(userId) {
+    const entityName = userId.toLowerCase();
+    this.purgeCounts.set(entityName, this.getPurgeCount(entityName) + 1);
+  }
+
+  /**
+   * Get how many times a user was purged (compare before and after an extraction)
+   * @param {string} userId - User identifier
+   * @returns {number} - Purge count
+   */
+  getPurgeCount(userId) {
+    return this.purgeCounts.get(userId.toLowerCase()) || 0;
+  }
+
+  /**
+   * Remove the observations about a user that were added in this session
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} - Observations removed
+   */
+  async removeSessionObservations(userId) {
+    if (!this.isInitialized) {
+      throw new Error('Memory service not initialized');
+    }
+
+    const entityName = userId.toLowerCase();
+    const added = this.sessionObservations.get(entityName);
+    if (!added || added.size === 0) return 0;
+
+    try {
+      const graph = await this.loadGraph();
+      const entity = graph.entities.find(e => e.name === entityName);
+      this.sessionObservations.delete(entityName);
+      if (!entity) return 0;
+
+      const before = entity.observations.length;
+      entity.observations = entity.observations.filter(observation => !added.has(observation));
+      await this.saveGraph(graph);
+      return before - entity.observations.length;
+    } catch (error) {
+      console.error('Error removing session observations:', error);
+      throw error;
     }
   }
 }
@@ -0,0 +1,186 @@
+const { normalizeChannel } = require('../config/settings');
+const { OUTBOUND_PRIORITIES, OUTBOUND_LIMITS } = require('../config/constants');
+
+/**
+ * Central queue for everything the bot sends to Twitch chat.
+ * Messages go out by priority (moderation > events > replies > scheduled) within Twitch's
+ * rate limits, which depend on whether the bot moderates the channel. Identical queued
+ * messages are merged and messages that waited too long are dropped.
+ */
+class OutboundQueue {
+  constructor() {
+    this.client = null;
+    this.queue = [];
+    this.sentTimes = [];
+    this.lastSentByChannel = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Route a client's say() and reply() through the queue
+   * Both accept an extra options argument ({ priority }); the default priority is replies
+   * @param {Object} client - tmi.js client (with the output pipeline applied)
+   * @returns {Object} - The same client
+   */
+  attach(client) {
+    const say = client.say.bind(client);
+    const reply = client.reply.bind(client);
+    this.client = client;
+
+    client.say = (channel, message, options = {}) => this.enqueue({
+      channel: channel,
+      message: message,
+      priority: options.priority,
+      send: () => say(channel, message)
+    });
+
+    client.reply = (channel, message, parentId, options = {}) => this.enqueue({
+      channel: channel,
+      message: message,
+      parentId: parentId,
+      priority: options.priority,
+      send: () => reply(channel, message, parentId)
+    });
+
+    return client;
+  }
+
+  /**
+   * Add a message to the queue
+   * @param {Object} item - { channel, message, parentId, priority, send }
+   * @returns {Promise} - Resolves when the message is sent or dropped
+   */
+  enqueue(item) {
+    const priority = OUTBOUND_PRIORITIES[item.priority] ? item.priority : 'replies';
+    const channel = normalizeChannel(item.channel);
+
+    // Merge with an identical message that is still waiting, keeping the higher priority
+    const duplicate = this.queue.find(entry =>
+      entry.channel === channel && entry.message === item.message && entry.parentId === item.parentId
+    );
+    if (duplicate) {
+      if (OUTBOUND_PRIORITIES[priority].rank < OUTBOUND_PRIORITIES[duplicate.priority].rank) {
+        duplicate.priority = priority;
+      }
+      return duplicate.promise;
+    }
+
+    const entry = {
+      channel: channel,
+      message: item.message,
+      parentId: item.parentId,
+      priority: priority,
+      send: item.send,
+      queuedAt: Date.now()
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.queue.push(entry);
+    this.schedule(0);
+    return entry.promise;
+  }
+
+  /**
+   * Check if the bot is a moderator (or the broadcaster) in a channel
+   * @param {string} channel - Channel name
+   * @returns {boolean} - True if the bot has moderator rate limits
+   */
+  isModerator(channel) {
+    const name = normalizeChannel(channel);
+    const state = this.client?.userstate?.[`#${name}`] || {};
+    return !!(state.mod || state.badges?.moderator || state.badges?.broadcaster ||
+      (this.client?.getUsername && this.client.getUsername().toLowerCase() === name));
+  }
+
+  /**
+   * Get how long a message for a channel has to wait before it may be sent
+   * @param {string} channel - Channel name
+   * @param {number} now - Current time
+   * @returns {number} - Wait time in ms (0 = can send now)
+   */
+  getWaitTime(channel, now) {
+    const isModerator = this.isModerator(channel);
+    const limit = isModerator ? OUTBOUND_LIMITS.MOD_MESSAGES : OUTBOUND_LIMITS.USER_MESSAGES;
+    let wait = 0;
+
+    if (this.sentTimes.length >= limit) {
+      wait = this.sentTimes[this.sentTimes.length - limit] + OUTBOUND_LIMITS.WINDOW - now;
+    }
+
+    const lastSent = this.lastSentByChannel.get(channel);
+    if (!isModerator && lastSent !== undefined) {
+      wait = Math.max(wait, lastSent + OUTBOUND_LIMITS.USER_MIN_INTERVAL - now);
+    }
+
+    return Math.max(0, wait);
+  }
+
+  /**
+   * Run the queue again after a delay
+   * @param {number} delay - Delay in ms
+   */
+  schedule(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.process(), delay);
+  }
+
+  /**
+   * Drop stale messages and send the next message that is allowed to go out
+   */
+  process() {
+    this.timer = null;
+    const now = Date.now();
+
+    this.queue = this.queue.filter(entry => {
+      const maxAge = OUTBOUND_PRIORITIES[entry.priority].maxAge;
+      if (maxAge > 0 && now - entry.queuedAt > maxAge) {
+        console.log(`Dropped stale ${entry.priority} message for #${entry.channel}: ${entry.message}`);
+        entry.resolve([entry.channel]);
+        return false;
+      }
+      return true;
+    });
+    this.sentTimes = this.sentTimes.filter(time => now - time < OUTBOUND_LIMITS.WINDOW);
+
+    this.queue.sort((a, b) =>
+      OUTBOUND_PRIORITIES[a.priority].rank - OUTBOUND_PRIORITIES[b.priority].rank || a.queuedAt - b.queuedAt
+    );
+
+    let nextWait = Infinity;
+    for (const entry of this.queue) {
+      const wait = this.getWaitTime(entry.channel, now);
+      if (wait > 0) {
+        nextWait = Math.min(nextWait, wait);
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      this.sentTimes.push(now);
+      this.lastSentByChannel.set(entry.channel, now);
+      Promise.resolve()
+        .then(() => entry.send())
+        .then(entry.resolve, entry.reject);
+      nextWait = 0;
+      break;
+    }
+
+    if (this.queue.length > 0) {
+      this.schedule(nextWait);
+    }
+  }
+
+  /**
+   * Get the number of messages waiting to be sent
+   * @returns {number} - Queue length
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+}
+
+module.exports = new OutboundQueue();
@@ -0,0 +1,96 @@
+const aiService = require('./aiService');
+const { normalizeChannel } = require('../config/settings');
+const { PASSIVE_LEARNING_DELAY } = require('../config/constants');
+
+/**
+ * Holds passive learning jobs for PASSIVE_LEARNING_DELAY before extracting memory,
+ * so messages that mods delete (or whose authors get timed out or banned) are never learned from
+ */
+class PassiveLearningQueue {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Queue memory extraction for a chat message
+   * @param {Object} job - { channel, username, messageId, message }
+   */
+  enqueue(job) {
+    const entry = {
+      channel: normalizeChannel(job.channel),
+      username: job.username.toLowerCase(),
+      messageId: job.messageId || null,
+      message: job.message
+    };
+    entry.timer = setTimeout(() => this.run(entry), PASSIVE_LEARNING_DELAY);
+    this.jobs.push(entry);
+  }
+
+  /**
+   * Run a job whose delay has passed
+   * @param {Object} entry - Queued job
+   */
+  run(entry) {
+    this.jobs = this.jobs.filter(job => job !== entry);
+    aiService.extractMemoryFromMessage(entry.message, entry.username, entry.channel).catch(error => {
+      console.error('Passive learning error:', error);
+    });
+  }
+
+  /**
+   * Drop the queued jobs that match
+   * @param {Function} predicate - Called with each job
+   * @returns {number} - Jobs dropped
+   */
+  cancel(predicate) {
+    const cancelled = this.jobs.filter(predicate);
+    for (const job of cancelled) {
+      clearTimeout(job.timer);
+    }
+    this.jobs = this.jobs.filter(job => !cancelled.includes(job));
+    return cancelled.length;
+  }
+
+  /**
+   * Drop the job for a deleted message
+   * @param {string} channel - Channel name
+   * @param {string} messageId - Twitch message id
+   * @returns {number} - Jobs dropped
+   */
+  cancelMessage(channel, messageId) {
+    const name = normalizeChannel(channel);
+    return this.cancel(job => job.channel === name && !!messageId && job.messageId === messageId);
+  }
+
+  /**
+   * Drop the jobs for a user's messages in a channel
+   * @param {string} channel - Channel name
+   * @param {string} username - Username
+   * @returns {number} - Jobs dropped
+   */
+  cancelUser(channel, username) {
+    const name = normalizeChannel(channel);
+    const user = username.toLowerCase();
+    return this.cancel(job => job.channel === name && job.username === user);
+  }
+
+  /**
+   * Drop all jobs for a channel
+   * @param {string} channel - Channel name
+   * @returns {number} - Jobs dropped
+   */
+  cancelChannel(channel) {
+    const name = normalizeChannel(channel);
+    return this.cancel(job => job.channel === name);
+  }
+
+  /**
+   * Get the number of jobs waiting
+   * @returns {number} - Queue length
+   */
+  getPendingCount() {
+    return this.jobs.length;
+  }
+}
+
+module.exports = new PassiveLearningQueue();
@@ -0,0 +1,97 @@
+/**
+ * Base class for LLM providers.
+ * Providers receive OpenAI-style message arrays ([{ role, content }]) and
+ * return the generated text, so callers never need to know which backend is used.
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Registry key used in settings (e.g. "openai")
+   * @param {string} label - Human readable name for logs and the web UI
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Describe which optional features this provider supports
+   * @returns {Object} - Capability flags
+   */
+  getCapabilities() {
+    return {
+      responsesApi: false,
+      images: false,
+      tools: false,
+      streamUsage: false,
+      jsonMode: false,
+      vision: false
+    };
+  }
+
+  /**
+   * Check if the provider supports a capability
+   * @param {string} capability - Capability name
+   * @returns {boolean} - True if supported
+   */
+  supports(capability) {
+    return !!this.getCapabilities()[capability];
+  }
+
+  /**
+   * Check if the provider has the settings it needs to make requests
+   * @returns {boolean} - True if configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Get the model used when the caller does not ask for a specific one
+   * @returns {string} - Model name
+   */
+  getDefaultModel() {
+    return '';
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object[]} messages - Chat messages ({ role, content })
+   * @param {Object} options - Request options (model, maxTokens, temperature, tools,
+   *   responseFormat: 'json' to constrain the reply to a JSON object where supported)
+   * @returns {Promise<Object>} - Result with the generated `content`, any `toolCalls`
+   *   ({ id, name, arguments }), the assistant `message` to append when answering them
+   *   and token `usage` ({ promptTokens, completionTokens })
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.label} provider does not implement chat()`);
+  }
+
+  /**
+   * Build the message that returns a tool result to the model
+   * @param {Object} toolCall - Tool call from chat() ({ id, name, arguments })
+   * @param {string} output - Serialized tool result
+   * @returns {Object} - Tool message
+   */
+  buildToolResultMessage(toolCall, output) {
+    return { role: 'tool', content: output };
+  }
+
+  /**
+   * Generate a chat completion as a stream of text deltas
+   * Providers without native streaming yield the whole reply at once
+   * @param {Object[]} messages - Chat messages ({ role, content })
+   * @param {Object} options - Request options (model, maxTokens, temperature, onUsage)
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  async *chatStream(messages, options = {}) {
+    const result = await this.chat(messages, options);
+    if (options.onUsage && result.usage) {
+      options.onUsage(result.usage);
+    }
+    if (result.content) {
+      yield result.content;
+    }
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,79 @@
+const { getSetting } = require('../../config/settings');
+
+/**
+ * Tracks consecutive failures for one provider and stops calls to it while it is down
+ * After circuitBreakerThreshold failures the circuit opens for circuitBreakerCooldown ms,
+ * then a single trial call is let through (half-open) to see if the provider recovered
+ */
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Get the current circuit state
+   * @returns {string} - closed, open or half-open
+   */
+  getState() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    const cooldown = getSetting('circuitBreakerCooldown', 60000);
+    return Date.now() - this.openedAt >= cooldown ? 'half-open' : 'open';
+  }
+
+  /**
+   * Check if a call may be made to the provider
+   * @returns {boolean} - True if the call is allowed
+   */
+  canRequest() {
+    const state = this.getState();
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'half-open' && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log(`Circuit breaker for ${this.name} closed, provider recovered`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Record a call that failed because of the request itself (e.g. a 400), which says nothing
+   * about the provider's health: the failure count is left alone and a trial slot is freed
+   */
+  recordClientError() {
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Record a failed call, opening the circuit once the threshold is reached
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInProgress = false;
+
+    const threshold = getSetting('circuitBreakerThreshold', 3);
+    if (this.openedAt !== null || this.failures >= threshold) {
+      this.openedAt = Date.now();
+      console.log(`Circuit breaker for ${this.name} opened after ${this.failures} consecutive failures`);
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
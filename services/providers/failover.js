@@ -0,0 +1,251 @@
+const { getSetting } = require('../../config/settings');
+const { sleep } = require('../../utils/helpers');
+const CircuitBreaker = require('./circuitBreaker');
+const { getProvider } = require('./index');
+
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'EAI_AGAIN'];
+const TRANSIENT_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+const breakers = new Map();
+
+/**
+ * Get the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {CircuitBreaker} - Circuit breaker
+ */
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Get the HTTP status of a failed provider call
+ * @param {Error} error - OpenAI SDK or axios error
+ * @returns {number|undefined} - HTTP status
+ */
+function getErrorStatus(error) {
+  return error.status || error.response?.status;
+}
+
+/**
+ * Check if an error is worth retrying (rate limits, server errors, timeouts)
+ * @param {Error} error - OpenAI SDK or axios error
+ * @returns {boolean} - True if transient
+ */
+function isTransientError(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code) || TRANSIENT_ERROR_NAMES.includes(error.constructor?.name);
+}
+
+/**
+ * Check if an error was caused by the request itself (4xx other than timeouts and rate limits)
+ * Another attempt or provider would fail the same way, and the provider is healthy
+ * @param {Error} error - OpenAI SDK or axios error
+ * @returns {boolean} - True if it is a client error
+ */
+function isClientError(error) {
+  const status = getErrorStatus(error);
+  return status >= 400 && status < 500 && !isTransientError(error);
+}
+
+/**
+ * Read the Retry-After header of a failed call
+ * @param {Error} error - OpenAI SDK or axios error
+ * @returns {number|null} - Delay in milliseconds or null if not set
+ */
+function getRetryAfter(error) {
+  const headers = error.headers || error.response?.headers;
+  const value = headers?.['retry-after'];
+  if (!value) {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the delay before a retry, honoring Retry-After over exponential backoff
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const maxDelay = getSetting('aiRetryMaxDelay', 30000);
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxDelay);
+  }
+  return Math.min(getSetting('aiRetryBaseDelay', 1000) * Math.pow(2, attempt), maxDelay);
+}
+
+/**
+ * Get the providers to try for a route: its own provider, then the providerFailover chain
+ * @param {Object} route - Route from resolveRoute()
+ * @returns {BaseProvider[]} - Providers in order
+ */
+function getProviderChain(route) {
+  const chain = [route.provider];
+  for (const name of getSetting('providerFailover', []) || []) {
+    const provider = getProvider(name);
+    if (provider && !chain.includes(provider) && provider.isConfigured()) {
+      chain.push(provider);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Describe an error for the log
+ * @param {Error} error - Error
+ * @returns {string} - Short description
+ */
+function describeError(error) {
+  const status = getErrorStatus(error);
+  return status ? `${status} ${error.message}` : (error.code || error.message);
+}
+
+/**
+ * Run a provider call with retries, circuit breaking and failover
+ * Client errors (a 400 for a bad parameter, a 401 for a wrong key) are thrown right away:
+ * they aren't retried or failed over and don't count toward the circuit breaker
+ * @param {Object} route - Route from resolveRoute()
+ * @param {Function} invoke - (provider, model) => Promise with the call result
+ * @returns {Promise<Object>} - { result, provider, model } of the call that succeeded
+ */
+async function callWithFailover(route, invoke) {
+  const label = `AI call (${route.purpose})`;
+  const maxRetries = getSetting('aiMaxRetries', 2);
+  let lastError = null;
+
+  for (const provider of getProviderChain(route)) {
+    const breaker = getCircuitBreaker(provider.name);
+    if (!breaker.canRequest()) {
+      console.log(`${label}: circuit open for ${provider.name}, skipping`);
+      continue;
+    }
+    if (lastError) {
+      console.log(`${label}: failing over to ${provider.name}`);
+    }
+
+    // The route's model only applies to its own provider
+    const model = provider === route.provider ? route.model : undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await invoke(provider, model);
+        breaker.recordSuccess();
+        if (attempt > 0 || provider !== route.provider) {
+          console.log(`${label}: succeeded on ${provider.name} after ${attempt} retries${provider !== route.provider ? ' (failed over)' : ''}`);
+        }
+        return { result, provider, model };
+      } catch (error) {
+        if (isClientError(error)) {
+          breaker.recordClientError();
+          console.error(`${label}: ${provider.name} rejected the request (${describeError(error)})`);
+          throw error;
+        }
+        lastError = error;
+        if (isTransientError(error) && attempt < maxRetries) {
+          const delay = getRetryDelay(error, attempt);
+          console.log(`${label}: ${provider.name} failed (${describeError(error)}), retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+          await sleep(delay);
+          continue;
+        }
+        breaker.recordFailure();
+        console.error(`${label}: ${provider.name} failed (${describeError(error)})`);
+        break;
+      }
+    }
+  }
+
+  throw lastError || new Error(`${label}: no provider available, all circuits open`);
+}
+
+/**
+ * Stream a provider call with retries, circuit breaking and failover
+ * Retries and failover only happen before the first chunk; later errors are thrown to the caller.
+ * The call counts as a success once the first chunk arrives, so callers may stop reading early.
+ * @param {Object} route - Route from resolveRoute()
+ * @param {Function} invoke - (provider, model) => async iterable of text chunks
+ * @yields {string} - Text chunks
+ */
+async function* streamWithFailover(route, invoke) {
+  const label = `AI stream (${route.purpose})`;
+  const maxRetries = getSetting('aiMaxRetries', 2);
+  let lastError = null;
+
+  for (const provider of getProviderChain(route)) {
+    const breaker = getCircuitBreaker(provider.name);
+    if (!breaker.canRequest()) {
+      console.log(`${label}: circuit open for ${provider.name}, skipping`);
+      continue;
+    }
+    if (lastError) {
+      console.log(`${label}: failing over to ${provider.name}`);
+    }
+
+    const model = provider === route.provider ? route.model : undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      let started = false;
+      const recordStart = () => {
+        started = true;
+        breaker.recordSuccess();
+        if (attempt > 0 || provider !== route.provider) {
+          console.log(`${label}: succeeded on ${provider.name} after ${attempt} retries${provider !== route.provider ? ' (failed over)' : ''}`);
+        }
+      };
+
+      try {
+        for await (const chunk of invoke(provider, model)) {
+          if (!started) recordStart();
+          yield chunk;
+        }
+        if (!started) recordStart(); // An empty stream still answered
+        return;
+      } catch (error) {
+        if (started) {
+          breaker.recordFailure();
+          throw error;
+        }
+        if (isClientError(error)) {
+          breaker.recordClientError();
+          console.error(`${label}: ${provider.name} rejected the request (${describeError(error)})`);
+          throw error;
+        }
+        lastError = error;
+        if (isTransientError(error) && attempt < maxRetries) {
+          const delay = getRetryDelay(error, attempt);
+          console.log(`${label}: ${provider.name} failed (${describeError(error)}), retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+          await sleep(delay);
+          continue;
+        }
+        breaker.recordFailure();
+        console.error(`${label}: ${provider.name} failed (${describeError(error)})`);
+        break;
+      }
+    }
+  }
+
+  throw lastError || new Error(`${label}: no provider available, all circuits open`);
+}
+
+module.exports = {
+  getCircuitBreaker,
+  isTransientError,
+  isClientError,
+  getRetryAfter,
+  callWithFailover,
+  streamWithFailover
+};
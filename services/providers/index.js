@@ -0,0 +1,105 @@
+const { getSetting } = require('../../config/settings');
+const { DEFAULT_MODEL_ROUTES } = require('../../config/constants');
+const OpenAIProvider = require('./openaiProvider');
+const OllamaProvider = require('./ollamaProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+const providers = new Map();
+
+/**
+ * Register an LLM provider
+ * @param {BaseProvider} provider - Provider instance
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {BaseProvider|null} - Provider or null if unknown
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Get all registered providers
+ * @returns {BaseProvider[]} - Registered providers
+ */
+function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Get the name of the provider selected in settings
+ * Falls back to the legacy useOpenAI flag when llmProvider is not set
+ * @returns {string} - Provider name
+ */
+function getActiveProviderName() {
+  const configured = getSetting('llmProvider');
+  if (configured) {
+    return configured;
+  }
+  return getSetting('useOpenAI') ? 'openai' : 'ollama';
+}
+
+/**
+ * Get the provider selected in settings
+ * @returns {BaseProvider} - Active provider
+ */
+function getActiveProvider() {
+  const name = getActiveProviderName();
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the provider, model and generation limits for a purpose
+ * Routes come from the modelRoutes setting, falling back to DEFAULT_MODEL_ROUTES
+ * @param {string} purpose - Route purpose (chat, memoryExtraction, eventAlerts, ...)
+ * @returns {Object} - Route with provider instance, model, temperature and maxTokens
+ */
+function resolveRoute(purpose = 'chat') {
+  const defaults = DEFAULT_MODEL_ROUTES[purpose] || DEFAULT_MODEL_ROUTES.chat;
+  const configured = (getSetting('modelRoutes', {}) || {})[purpose] || {};
+
+  // Blank values in settings mean "use the default"
+  const route = { ...defaults };
+  for (const [key, value] of Object.entries(configured)) {
+    if (value !== '' && value !== null && value !== undefined) {
+      route[key] = value;
+    }
+  }
+
+  const provider = route.provider ? getProvider(route.provider) : getActiveProvider();
+  if (!provider) {
+    throw new Error(`Unknown LLM provider for ${purpose}: ${route.provider}`);
+  }
+
+  return {
+    purpose: purpose,
+    provider: provider,
+    model: route.model || undefined,
+    temperature: route.temperature === null ? undefined : route.temperature,
+    maxTokens: route.maxTokens === null ? undefined : route.maxTokens
+  };
+}
+
+registerProvider(new OpenAIProvider());
+registerProvider(new OllamaProvider());
+registerProvider(new OpenAICompatibleProvider());
+registerProvider(new MockProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getActiveProviderName,
+  getActiveProvider,
+  resolveRoute
+};
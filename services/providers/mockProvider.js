@@ -0,0 +1,157 @@
+const { getSetting } = require('../../config/settings');
+const BaseProvider = require('./baseProvider');
+
+const MAX_RECORDED_CALLS = 200;
+
+/**
+ * Offline provider for tests and demos
+ * Replies come from, in order: canned JSON (for JSON mode requests such as memory extraction),
+ * queued responses, the mockResponses script, the first matching mockRules entry, and
+ * finally an echo of the last user message. Every request is recorded.
+ */
+class MockProvider extends BaseProvider {
+  constructor() {
+    super('mock', 'Mock (offline testing)');
+    this.reset();
+  }
+
+  getCapabilities() {
+    return {
+      responsesApi: false,
+      images: false,
+      tools: false,
+      streamUsage: true,
+      jsonMode: true,
+      vision: false
+    };
+  }
+
+  getDefaultModel() {
+    return 'mock';
+  }
+
+  /**
+   * Forget recorded calls, queued responses and the script position
+   */
+  reset() {
+    this.calls = [];
+    this.queue = [];
+    this.scriptIndex = 0;
+  }
+
+  /**
+   * Queue a response for the next request, ahead of the script and rules
+   * @param {string} text - Response text
+   */
+  queueResponse(text) {
+    this.queue.push(text);
+  }
+
+  /**
+   * Get the requests received so far (oldest first)
+   * @returns {Object[]} - { messages, options, timestamp } for each request
+   */
+  getRecordedCalls() {
+    return [...this.calls];
+  }
+
+  /**
+   * Get the text of a message, skipping image parts
+   * @param {Object} message - Chat message
+   * @returns {string} - Message text
+   */
+  getMessageText(message) {
+    if (Array.isArray(message.content)) {
+      return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+    return message.content || '';
+  }
+
+  /**
+   * Get the text of the last user message in a request
+   * @param {Object[]} messages - Chat messages
+   * @returns {string} - Message text
+   */
+  getLastUserText(messages) {
+    const message = [...messages].reverse().find(m => m.role === 'user');
+    return message ? this.getMessageText(message) : '';
+  }
+
+  /**
+   * Pick the reply for a request
+   * @param {Object[]} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {string} - Reply text
+   */
+  getReply(messages, options) {
+    if (options.responseFormat === 'json') {
+      return JSON.stringify(getSetting('mockMemoryJson', {}) || {});
+    }
+
+    if (this.queue.length > 0) {
+      return this.queue.shift();
+    }
+
+    const script = getSetting('mockResponses', []) || [];
+    if (this.scriptIndex < script.length) {
+      return script[this.scriptIndex++];
+    }
+
+    // Rules match against the whole conversation, so system prompts can be matched too
+    const text = messages.map(m => this.getMessageText(m)).join('\n');
+    for (const rule of getSetting('mockRules', []) || []) {
+      try {
+        if (new RegExp(rule.match, 'i').test(text)) {
+          return rule.response;
+        }
+      } catch (error) {
+        console.error(`Mock provider: invalid rule pattern "${rule.match}":`, error.message);
+      }
+    }
+
+    return `Mock reply to: ${this.getLastUserText(messages).slice(0, 200)}`;
+  }
+
+  /**
+   * Rough token count (about 4 characters per token) so usage tracking has something to record
+   * @param {string} text - Text
+   * @returns {number} - Token estimate
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages: messages, options: options, timestamp: Date.now() });
+    if (this.calls.length > MAX_RECORDED_CALLS) {
+      this.calls.shift();
+    }
+
+    const content = this.getReply(messages, options);
+    const promptText = messages.map(m => this.getMessageText(m)).join('\n');
+
+    return {
+      content: content,
+      toolCalls: [],
+      message: { role: 'assistant', content: content },
+      usage: {
+        promptTokens: this.estimateTokens(promptText),
+        completionTokens: this.estimateTokens(content)
+      }
+    };
+  }
+
+  async *chatStream(messages, options = {}) {
+    const result = await this.chat(messages, options);
+
+    // Stream word by word so splitting and pacing behave like a real provider
+    for (const word of result.content.split(/(?<=\s)/)) {
+      yield word;
+    }
+    if (options.onUsage) {
+      options.onUsage(result.usage);
+    }
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,169 @@
+const axios = require('axios');
+const { getSetting } = require('../../config/settings');
+const BaseProvider = require('./baseProvider');
+
+class OllamaProvider extends BaseProvider {
+  constructor() {
+    super('ollama', 'Ollama');
+  }
+
+  /**
+   * Get connection settings for this provider
+   * @returns {Object} - API URL and default model
+   */
+  getConfig() {
+    return {
+      url: getSetting('ollamaApiUrl', 'http://localhost:11434'),
+      model: getSetting('ollamaModelName', 'llama3.2')
+    };
+  }
+
+  /**
+   * Get the /api/chat endpoint
+   * Older settings point ollamaApiUrl at /api/generate, so any endpoint path is stripped
+   * @returns {string} - Chat endpoint URL
+   */
+  getChatUrl() {
+    const baseUrl = this.getConfig().url.replace(/\/api\/(generate|chat)\/?$/, '').replace(/\/+$/, '');
+    return `${baseUrl}/api/chat`;
+  }
+
+  getCapabilities() {
+    return {
+      responsesApi: false,
+      images: false,
+      tools: true,
+      streamUsage: true,
+      jsonMode: true,
+      // Requires a multimodal model such as llava
+      vision: true
+    };
+  }
+
+  isConfigured() {
+    return !!this.getConfig().url;
+  }
+
+  getDefaultModel() {
+    return this.getConfig().model;
+  }
+
+  /**
+   * Map generic request options to Ollama model options
+   * @param {Object} options - Request options
+   * @returns {Object} - Ollama options object
+   */
+  buildModelOptions(options) {
+    const modelOptions = {};
+    if (options.maxTokens !== undefined) modelOptions.num_predict = options.maxTokens;
+    if (options.temperature !== undefined) modelOptions.temperature = options.temperature;
+    return modelOptions;
+  }
+
+  /**
+   * Convert OpenAI-style content parts (text + image_url) to Ollama's content + images
+   * @param {Object} message - Chat message
+   * @returns {Object} - Ollama chat message
+   */
+  toOllamaMessage(message) {
+    if (!Array.isArray(message.content)) {
+      return message;
+    }
+
+    const text = message.content.filter(part => part.type === 'text').map(part => part.text);
+    const images = message.content
+      .filter(part => part.type === 'image_url')
+      .map(part => part.image_url.url.replace(/^data:[^,]*;base64,/, ''));
+
+    return { ...message, content: text.join('\n'), images: images };
+  }
+
+  /**
+   * Build the /api/chat request body
+   * @param {Object[]} messages - Chat messages
+   * @param {Object} options - Request options
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Object} - Request body
+   */
+  buildRequest(messages, options, stream) {
+    const request = {
+      model: options.model || this.getDefaultModel(),
+      messages: messages.map(message => this.toOllamaMessage(message)),
+      stream: stream,
+      options: this.buildModelOptions(options)
+    };
+    if (options.tools && options.tools.length > 0) {
+      request.tools = options.tools;
+    }
+    if (options.responseFormat === 'json') {
+      request.format = 'json';
+    }
+    return request;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await axios.post(this.getChatUrl(), this.buildRequest(messages, options, false), {
+      timeout: getSetting('aiRequestTimeout', 60000)
+    });
+
+    const message = response.data.message || { role: 'assistant', content: '' };
+    return {
+      content: message.content || '',
+      // Ollama doesn't assign ids, so the position stands in for one
+      toolCalls: (message.tool_calls || []).map((call, index) => ({
+        id: `${call.function.name}_${index}`,
+        name: call.function.name,
+        arguments: call.function.arguments || {}
+      })),
+      message: message,
+      usage: this.parseUsage(response.data)
+    };
+  }
+
+  /**
+   * Read token counts from a final Ollama response
+   * @param {Object} data - Response body or final stream chunk
+   * @returns {Object} - Token usage
+   */
+  parseUsage(data) {
+    return {
+      promptTokens: data.prompt_eval_count || 0,
+      completionTokens: data.eval_count || 0
+    };
+  }
+
+  buildToolResultMessage(toolCall, output) {
+    return { role: 'tool', tool_name: toolCall.name, content: output };
+  }
+
+  async *chatStream(messages, options = {}) {
+    const response = await axios.post(this.getChatUrl(), this.buildRequest(messages, options, true), {
+      responseType: 'stream',
+      timeout: getSetting('aiRequestTimeout', 60000)
+    });
+
+    // Ollama streams newline-delimited JSON objects
+    let pending = '';
+    for await (const data of response.data) {
+      pending += data.toString('utf-8');
+      const lines = pending.split('\n');
+      pending = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const chunk = JSON.parse(line);
+        if (chunk.message?.content) {
+          yield chunk.message.content;
+        }
+        if (chunk.done) {
+          if (options.onUsage) {
+            options.onUsage(this.parseUsage(chunk));
+          }
+          return;
+        }
+      }
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,40 @@
+const { getSetting } = require('../../config/settings');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Generic provider for servers that expose an OpenAI-compatible
+ * /v1/chat/completions endpoint (LM Studio, vLLM, llama.cpp server, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor() {
+    super('openai-compatible', 'OpenAI-compatible');
+  }
+
+  getConfig() {
+    return {
+      // Most local servers ignore the key, but the SDK refuses to start without one
+      apiKey: getSetting('compatibleApiKey') || 'not-needed',
+      baseURL: getSetting('compatibleApiUrl', 'http://localhost:1234/v1'),
+      model: getSetting('compatibleModelName', 'local-model')
+    };
+  }
+
+  getCapabilities() {
+    return {
+      responsesApi: false,
+      images: false,
+      tools: true,
+      // Not every compatible server accepts stream_options or json_object responses
+      streamUsage: false,
+      jsonMode: false,
+      // Image parts use the OpenAI format; the loaded model must be multimodal
+      vision: true
+    };
+  }
+
+  isConfigured() {
+    return !!this.getConfig().baseURL;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
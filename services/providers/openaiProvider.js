@@ -0,0 +1,161 @@
+const { OpenAI } = require('openai');
+const { getSetting } = require('../../config/settings');
+const BaseProvider = require('./baseProvider');
+
+class OpenAIProvider extends BaseProvider {
+  constructor(name = 'openai', label = 'OpenAI') {
+    super(name, label);
+    this.client = null;
+    this.clientKey = null;
+  }
+
+  /**
+   * Get connection settings for this provider
+   * @returns {Object} - API key, base URL and default model
+   */
+  getConfig() {
+    return {
+      apiKey: getSetting('openaiApiKey'),
+      baseURL: getSetting('openaiBaseUrl') || undefined,
+      model: getSetting('openaiModelName', 'gpt-4o-mini')
+    };
+  }
+
+  getCapabilities() {
+    return {
+      responsesApi: true,
+      images: true,
+      tools: true,
+      streamUsage: true,
+      jsonMode: true,
+      vision: true
+    };
+  }
+
+  isConfigured() {
+    return !!this.getConfig().apiKey;
+  }
+
+  getDefaultModel() {
+    return this.getConfig().model;
+  }
+
+  /**
+   * Get an OpenAI SDK client, recreating it when the key or base URL changes
+   * @returns {OpenAI|null} - Client or null if not configured
+   */
+  getClient() {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    const { apiKey, baseURL } = this.getConfig();
+    const clientKey = `${baseURL || ''}|${apiKey}`;
+    if (!this.client || this.clientKey !== clientKey) {
+      this.client = new OpenAI({ apiKey, baseURL });
+      this.clientKey = clientKey;
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Get per-request SDK options
+   * Retries are handled by the failover layer, so the SDK's own retries are turned off
+   * @returns {Object} - Request options
+   */
+  getRequestOptions() {
+    return {
+      maxRetries: 0,
+      timeout: getSetting('aiRequestTimeout', 60000)
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const client = this.getClient();
+    if (!client) {
+      throw new Error(`${this.label} client not initialized - no API key provided`);
+    }
+
+    const response = await client.chat.completions.create({
+      model: options.model || this.getDefaultModel(),
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      tools: options.tools && options.tools.length > 0 ? options.tools : undefined,
+      response_format: options.responseFormat === 'json' && this.supports('jsonMode') ? { type: 'json_object' } : undefined
+    }, this.getRequestOptions());
+
+    const message = response.choices[0].message;
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this.parseToolArguments(call.function.arguments)
+      })),
+      message: message,
+      usage: this.parseUsage(response.usage)
+    };
+  }
+
+  /**
+   * Convert an OpenAI usage block to the shared format
+   * @param {Object} usage - OpenAI usage block
+   * @returns {Object|null} - Token usage
+   */
+  parseUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    };
+  }
+
+  /**
+   * Parse the JSON argument string of a tool call
+   * @param {string} raw - Raw arguments
+   * @returns {Object} - Parsed arguments, empty if invalid
+   */
+  parseToolArguments(raw) {
+    try {
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.error(`Invalid tool arguments from ${this.label}:`, raw);
+      return {};
+    }
+  }
+
+  buildToolResultMessage(toolCall, output) {
+    return { role: 'tool', tool_call_id: toolCall.id, content: output };
+  }
+
+  async *chatStream(messages, options = {}) {
+    const client = this.getClient();
+    if (!client) {
+      throw new Error(`${this.label} client not initialized - no API key provided`);
+    }
+
+    const stream = await client.chat.completions.create({
+      model: options.model || this.getDefaultModel(),
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      stream: true,
+      stream_options: this.supports('streamUsage') ? { include_usage: true } : undefined
+    }, this.getRequestOptions());
+
+    for await (const chunk of stream) {
+      // With include_usage the last chunk carries usage and no choices
+      if (chunk.usage && options.onUsage) {
+        options.onUsage(this.parseUsage(chunk.usage));
+      }
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
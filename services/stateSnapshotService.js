@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getSetting } = require('../config/settings');
+const { STATE_SNAPSHOT } = require('../config/constants');
+
+/**
+ * Saves each channel's runtime state to disk periodically and on shutdown,
+ * and restores it on startup when the snapshot is younger than stateSnapshotMaxAge minutes
+ */
+class StateSnapshotService {
+  constructor() {
+    this.filePath = path.join(process.cwd(), STATE_SNAPSHOT.FILE);
+    this.channelBots = null;
+    this.saveInterval = null;
+  }
+
+  /**
+   * Restore the last snapshot and start saving periodically
+   * @param {Map} channelBots - Channel name -> { botState, scheduledMessageHandler, ... }
+   */
+  async initialize(channelBots) {
+    this.channelBots = channelBots;
+    await this.restore();
+
+    this.saveInterval = setInterval(() => {
+      this.save();
+    }, STATE_SNAPSHOT.SAVE_INTERVAL);
+  }
+
+  /**
+   * Restore the channels in the snapshot file if it is recent enough
+   */
+  async restore() {
+    // Blank (saved by older versions of the settings form) means the default, not "never"
+    const configured = getSetting('stateSnapshotMaxAge', 30);
+    const maxAgeMinutes = configured === '' ? 30 : Number(configured) || 0;
+    if (maxAgeMinutes <= 0) return;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading state snapshot:', error);
+      }
+      return;
+    }
+
+    if (snapshot.version !== STATE_SNAPSHOT.VERSION) {
+      console.log('State snapshot is from another version, starting fresh');
+      return;
+    }
+
+    const ageMinutes = (Date.now() - snapshot.savedAt) / 60000;
+    if (!(ageMinutes <= maxAgeMinutes)) {
+      console.log(`State snapshot is ${Math.round(ageMinutes)} minutes old, starting fresh`);
+      return;
+    }
+
+    for (const [channel, state] of Object.entries(snapshot.channels || {})) {
+      const bots = this.channelBots.get(channel);
+      if (!bots) continue;
+
+      try {
+        bots.botState.restoreSnapshot(state.botState || {});
+        bots.scheduledMessageHandler.setCurrentIndex(state.scheduledMessageIndex);
+        console.log(`Restored state for #${channel} (${bots.botState.messageHistory.length} messages)`);
+      } catch (error) {
+        console.error(`Error restoring state for #${channel}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Write the current state of all channels to disk
+   * Writes to a temporary file first so a crash mid-write can't leave a broken snapshot
+   */
+  async save() {
+    if (!this.channelBots) return;
+
+    const channels = {};
+    for (const [channel, bots] of this.channelBots) {
+      channels[channel] = {
+        botState: bots.botState.toSnapshot(),
+        scheduledMessageIndex: bots.scheduledMessageHandler.getCurrentIndex()
+      };
+    }
+
+    const snapshot = {
+      version: STATE_SNAPSHOT.VERSION,
+      savedAt: Date.now(),
+      channels: channels
+    };
+
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(snapshot), 'utf-8');
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving state snapshot:', error);
+    }
+  }
+
+  /**
+   * Stop saving periodically
+   */
+  stop() {
+    if (this.saveInterval) {
+      clearInterval(this.saveInterval);
+      this.saveInterval = null;
+    }
+  }
+}
+
+module.exports = new StateSnapshotService();
@@ -0,0 +1,123 @@
+const { getSetting } = require('../../config/settings');
+const twitchApiService = require('../twitchApiService');
+const memoryService = require('../memoryService');
+const { registerTool } = require('./index');
+
+/**
+ * Format a duration as "2h 15m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+registerTool({
+  name: 'get_stream_info',
+  description: 'Get the current stream title, game, live status and uptime of the channel.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  handler: async (args, context) => {
+    const channel = (context.channel || getSetting('channel', '')).replace(/^#/, '');
+    const user = await twitchApiService.fetchUser(channel);
+    if (!user) {
+      return { error: `Channel ${channel} not found` };
+    }
+
+    const stream = await twitchApiService.fetchLatestStream(user.id);
+    if (!stream) {
+      return { channel: user.display_name, live: false, message: 'No recent streams found' };
+    }
+
+    const info = {
+      channel: user.display_name,
+      live: stream.isLive,
+      title: stream.title,
+      game: stream.game_name || 'Unknown',
+      startedAt: stream.started_at
+    };
+    if (stream.isLive) {
+      info.uptime = formatDuration(Date.now() - new Date(stream.started_at).getTime());
+    }
+    return info;
+  }
+});
+
+registerTool({
+  name: 'search_memory',
+  description: 'Search the long-term memory graph for what the bot knows about a chatter or topic.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Username or keyword to look up'
+      }
+    },
+    required: ['query']
+  },
+  handler: async (args, context) => {
+    const memoryEnabled = context.botState ? context.botState.getSetting('enableMemory') : getSetting('enableMemory');
+    if (memoryEnabled != 1) {
+      return { error: 'Persistent memory is disabled' };
+    }
+
+    const memory = await memoryService.retrieveMemory(args.query || context.userId);
+    return {
+      entities: memory.entities,
+      relations: memory.relations
+    };
+  }
+});
+
+registerTool({
+  name: 'get_image_quota',
+  description: 'Get how many images have been generated today and the daily image generation limit.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  handler: async (args, context) => {
+    if (!context.botState) {
+      return { error: 'Image quota is not available here' };
+    }
+    return context.botState.getQuotaStatus();
+  }
+});
+
+registerTool({
+  name: 'roll_dice',
+  description: 'Roll dice using standard notation like "1d20", "2d6" or "3d8+2".',
+  parameters: {
+    type: 'object',
+    properties: {
+      notation: {
+        type: 'string',
+        description: 'Dice notation, e.g. "2d6+1"'
+      }
+    },
+    required: ['notation']
+  },
+  handler: async (args) => {
+    const match = String(args.notation || '1d6').replace(/\s+/g, '').match(/^(\d*)d(\d+)([+-]\d+)?$/i);
+    if (!match) {
+      return { error: `Invalid dice notation: ${args.notation}` };
+    }
+
+    const count = parseInt(match[1] || '1', 10);
+    const sides = parseInt(match[2], 10);
+    const modifier = parseInt(match[3] || '0', 10);
+    if (count < 1 || count > 100 || sides < 2 || sides > 1000) {
+      return { error: 'Use between 1 and 100 dice with 2 to 1000 sides' };
+    }
+
+    const rolls = Array.from({ length: count }, () => Math.floor(Math.random() * sides) + 1);
+    const total = rolls.reduce((sum, roll) => sum + roll, 0) + modifier;
+    return { notation: args.notation, rolls, modifier, total };
+  }
+});
@@ -0,0 +1,78 @@
+const tools = new Map();
+
+/**
+ * Register a tool the chat model can call
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Function name exposed to the model
+ * @param {string} tool.description - What the tool does, shown to the model
+ * @param {Object} tool.parameters - JSON schema for the tool arguments
+ * @param {Function} tool.handler - async (args, context) => result
+ */
+function registerTool(tool) {
+  tools.set(tool.name, tool);
+}
+
+/**
+ * Get a tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|null} - Tool or null if unknown
+ */
+function getTool(name) {
+  return tools.get(name) || null;
+}
+
+/**
+ * Get all registered tools
+ * @returns {Object[]} - Registered tools
+ */
+function listTools() {
+  return [...tools.values()];
+}
+
+/**
+ * Get tool definitions in the function-calling format shared by OpenAI and Ollama
+ * @returns {Object[]} - Tool definitions
+ */
+function getToolDefinitions() {
+  return listTools().map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Run a tool and serialize its result for the model
+ * Errors are returned to the model instead of thrown so it can recover
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Caller context (botState, channel, userId)
+ * @returns {Promise<string>} - JSON encoded result
+ */
+async function executeTool(name, args, context = {}) {
+  const tool = getTool(name);
+  if (!tool) {
+    return JSON.stringify({ error: `Unknown tool: ${name}` });
+  }
+
+  try {
+    const result = await tool.handler(args || {}, context);
+    return JSON.stringify(result);
+  } catch (error) {
+    console.error(`Tool ${name} failed:`, error);
+    return JSON.stringify({ error: error.message });
+  }
+}
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  getToolDefinitions,
+  executeTool
+};
+
+require('./builtinTools');
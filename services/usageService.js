@@ -0,0 +1,219 @@
+const path = require('path');
+const { promises: fs } = require('fs');
+const { getSetting } = require('../config/settings');
+const { MODEL_PRICING, BUDGET_DEGRADATION, PURPOSE_BUDGET_GROUPS } = require('../config/constants');
+
+/**
+ * Create an empty usage totals object
+ * @returns {Object} - Totals
+ */
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    images: 0,
+    cost: 0,
+    byPurpose: {}
+  };
+}
+
+class UsageService {
+  constructor() {
+    this.usageFilePath = path.join(process.cwd(), 'usage.jsonl');
+    this.day = null;
+    this.month = null;
+    this.daily = emptyTotals();
+    this.monthly = emptyTotals();
+  }
+
+  /**
+   * Load this month's usage from disk
+   * Unreadable lines (e.g. one cut off by a crash mid-write) are skipped
+   */
+  async initialize() {
+    this.rollOver();
+
+    try {
+      const data = await fs.readFile(this.usageFilePath, 'utf-8');
+      const lines = data.split('\n');
+      lines.forEach((line, index) => {
+        if (line.trim() === '') return;
+        try {
+          this.addToTotals(JSON.parse(line));
+        } catch (error) {
+          console.error(`Skipping unreadable usage log line ${index + 1}:`, error.message);
+        }
+      });
+      console.log(`Usage service loaded: $${this.monthly.cost.toFixed(4)} spent this month`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading usage log:', error);
+      }
+    }
+  }
+
+  /**
+   * Reset the running totals when the day or month changes
+   */
+  rollOver() {
+    const now = new Date().toISOString();
+    const day = now.slice(0, 10);
+    const month = now.slice(0, 7);
+
+    if (this.month !== month) {
+      this.month = month;
+      this.monthly = emptyTotals();
+    }
+    if (this.day !== day) {
+      this.day = day;
+      this.daily = emptyTotals();
+    }
+  }
+
+  /**
+   * Find the pricing entry for a model (exact match, then longest prefix)
+   * @param {string} model - Model name
+   * @returns {Object|null} - Pricing or null if the model is free/unknown
+   */
+  getPricing(model) {
+    if (!model) return null;
+
+    const pricing = { ...MODEL_PRICING, ...getSetting('modelPricing', {}) };
+    if (pricing[model]) return pricing[model];
+
+    const prefix = Object.keys(pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+  }
+
+  /**
+   * Estimate the cost of a call
+   * @param {Object} entry - Usage entry (model, promptTokens, completionTokens, images)
+   * @returns {number} - Cost in USD
+   */
+  estimateCost(entry) {
+    const pricing = this.getPricing(entry.model);
+    if (!pricing) return 0;
+
+    return ((entry.promptTokens || 0) * (pricing.input || 0) +
+      (entry.completionTokens || 0) * (pricing.output || 0)) / 1000000 +
+      (entry.images || 0) * (pricing.image || 0);
+  }
+
+  /**
+   * Add an entry to the running totals if it falls in the current day/month
+   * @param {Object} entry - Usage entry
+   */
+  addToTotals(entry) {
+    const targets = [];
+    if (entry.timestamp.startsWith(this.month)) targets.push(this.monthly);
+    if (entry.timestamp.startsWith(this.day)) targets.push(this.daily);
+
+    for (const totals of targets) {
+      totals.calls++;
+      totals.promptTokens += entry.promptTokens || 0;
+      totals.completionTokens += entry.completionTokens || 0;
+      totals.images += entry.images || 0;
+      totals.cost += entry.cost || 0;
+
+      const purpose = totals.byPurpose[entry.purpose] || { calls: 0, tokens: 0, images: 0, cost: 0 };
+      purpose.calls++;
+      purpose.tokens += (entry.promptTokens || 0) + (entry.completionTokens || 0);
+      purpose.images += entry.images || 0;
+      purpose.cost += entry.cost || 0;
+      totals.byPurpose[entry.purpose] = purpose;
+    }
+  }
+
+  /**
+   * Record an LLM or image call and append it to the usage log
+   * @param {Object} call - Call details
+   * @param {string} call.purpose - Route purpose (chat, memoryExtraction, images, ...)
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model name
+   * @param {Object} call.usage - Token usage ({ promptTokens, completionTokens })
+   * @param {number} call.images - Number of generated images
+   * @returns {Promise<Object>} - Logged entry
+   */
+  async record({ purpose, provider, model, usage = {}, images = 0 }) {
+    this.rollOver();
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      purpose: purpose,
+      provider: provider,
+      model: model,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      images: images
+    };
+    entry.cost = this.estimateCost(entry);
+
+    this.addToTotals(entry);
+
+    try {
+      await fs.appendFile(this.usageFilePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('Error writing usage log:', error);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the highest share of the daily or monthly budget used so far
+   * @returns {number} - Fraction of budget used (0 when no budget is set)
+   */
+  getBudgetUsage() {
+    this.rollOver();
+
+    const dailyBudget = Number(getSetting('dailyBudget', 0)) || 0;
+    const monthlyBudget = Number(getSetting('monthlyBudget', 0)) || 0;
+
+    return Math.max(
+      dailyBudget > 0 ? this.daily.cost / dailyBudget : 0,
+      monthlyBudget > 0 ? this.monthly.cost / monthlyBudget : 0
+    );
+  }
+
+  /**
+   * Get the feature groups switched off by the budget
+   * @returns {string[]} - Disabled groups (passiveLearning, events, chat)
+   */
+  getDisabledGroups() {
+    const used = this.getBudgetUsage();
+    return Object.keys(BUDGET_DEGRADATION).filter(group => used >= BUDGET_DEGRADATION[group]);
+  }
+
+  /**
+   * Check if the budget still allows calls for a purpose
+   * @param {string} purpose - Route purpose
+   * @returns {boolean} - True if allowed
+   */
+  isPurposeAllowed(purpose) {
+    const group = PURPOSE_BUDGET_GROUPS[purpose] || 'chat';
+    return !this.getDisabledGroups().includes(group);
+  }
+
+  /**
+   * Get a usage summary for the web UI
+   * @returns {Object} - Daily and monthly totals with budget status
+   */
+  getSummary() {
+    this.rollOver();
+    return {
+      day: this.day,
+      month: this.month,
+      daily: this.daily,
+      monthly: this.monthly,
+      dailyBudget: Number(getSetting('dailyBudget', 0)) || 0,
+      monthlyBudget: Number(getSetting('monthlyBudget', 0)) || 0,
+      budgetUsage: this.getBudgetUsage(),
+      disabledGroups: this.getDisabledGroups()
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setSetting } = require('../config/settings');
+const { getProvider } = require('../services/providers');
+const usageService = require('../services/usageService');
+const BotState = require('../models/botState');
+const MessagePipeline = require('../handlers/messagePipeline');
+
+const STAGE_NAMES = ['ignoreList', 'moderation', 'history', 'commands', 'pause', 'mentionDetection', 'passiveLearning', 'mentionReply'];
+
+setSetting('username', 'juggleai');
+setSetting('channel', 'testchannel');
+setSetting('llmProvider', 'mock');
+setSetting('threadMentionReplies', 0);
+// Keep the mock provider's usage records out of the repo's usage.jsonl
+usageService.usageFilePath = path.join(os.tmpdir(), `usage-test-${process.pid}.jsonl`);
+test.after(() => fs.rmSync(usageService.usageFilePath, { force: true }));
+
+/**
+ * Build a pipeline with a fake Twitch client that records what the bot sends,
+ * and a command handler that handles nothing
+ */
+function createPipeline() {
+  const sent = [];
+  const twitchClient = {
+    getUsername: () => 'juggleai',
+    say: async (channel, message) => sent.push(message),
+    reply: async (channel, message) => sent.push(message)
+  };
+  const botState = new BotState('testchannel');
+  clearInterval(botState.quotaResetTimer);
+
+  const pipeline = new MessagePipeline(twitchClient, botState, { handleCommand: async () => false });
+
+  // Record the order the stages run in
+  const ran = [];
+  pipeline.stages = pipeline.stages.map(stage => ({
+    name: stage.name,
+    run: context => {
+      ran.push(stage.name);
+      return stage.run(context);
+    }
+  }));
+
+  return { pipeline, botState, sent, ran };
+}
+
+/**
+ * Fake chat message tags
+ * @param {string} username - Sender
+ * @param {string} id - Message id
+ * @returns {Object} - Tags
+ */
+function fakeTags(username, id) {
+  return { username: username, 'display-name': username, id: id, badges: {}, 'tmi-sent-ts': String(Date.now()) };
+}
+
+test('a mention runs every stage in order and is answered by the mock provider', async () => {
+  const mock = getProvider('mock');
+  mock.reset();
+  mock.queueResponse('Throw higher!');
+  const { pipeline, botState, sent, ran } = createPipeline();
+
+  const context = await pipeline.process('#testchannel', fakeTags('viewer', 'm1'), '@juggleai how do I juggle?');
+
+  assert.deepStrictEqual(ran, STAGE_NAMES);
+  assert.strictEqual(context.handledBy, 'mentionReply');
+  assert.strictEqual(mock.getRecordedCalls().length, 1);
+  assert.deepStrictEqual(sent, ['@viewer, Throw higher!']);
+  assert.strictEqual(botState.messageHistory[0].text, '@juggleai how do I juggle?');
+});
+
+test('messageStageOrder moves stages to the front', async () => {
+  setSetting('messageStageOrder', ['pause']);
+  try {
+    const { pipeline, botState, ran } = createPipeline();
+    botState.pauseBot();
+
+    const context = await pipeline.process('#testchannel', fakeTags('viewer', 'm2'), 'hello');
+
+    assert.deepStrictEqual(ran, ['pause']);
+    assert.strictEqual(context.handledBy, 'pause');
+  } finally {
+    setSetting('messageStageOrder', []);
+  }
+});
+
+test('the pipeline stops at a stage that throws', async () => {
+  const mock = getProvider('mock');
+  mock.reset();
+  const { pipeline, botState, sent, ran } = createPipeline();
+  pipeline.addStage({ name: 'broken', run: () => { throw new Error('boom'); } }, { before: 'history' });
+
+  const context = await pipeline.process('#testchannel', fakeTags('viewer', 'm3'), '@juggleai hi');
+
+  assert.deepStrictEqual(ran, ['ignoreList', 'moderation']);
+  assert.strictEqual(context.handledBy, 'broken');
+  assert.strictEqual(context.error.message, 'boom');
+  assert.strictEqual(botState.messageHistory.length, 0);
+  assert.strictEqual(mock.getRecordedCalls().length, 0);
+  assert.deepStrictEqual(sent, []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  OUTPUT_STAGES,
+  stripReasoning,
+  removeNamePrefix,
+  markdownToText,
+  filterBannedWords,
+  allowListUrls,
+  sanitizeLinks,
+  enforceLengthLimit,
+  processOutput
+} = require('../utils/outputPipeline');
+
+const config = {
+  enabledStages: OUTPUT_STAGES.map(stage => stage.name),
+  botUsername: 'juggleai',
+  allowedDomains: ['twitch.tv'],
+  bannedWords: ['darn'],
+  bannedWordReplacement: '***',
+  maxLength: 500
+};
+
+test('stripReasoning removes closed and unclosed think blocks', () => {
+  assert.strictEqual(stripReasoning('<think>plan</think> Hello'), 'Hello');
+  assert.strictEqual(stripReasoning('Hello <think>still thinking'), 'Hello');
+});
+
+test('removeNamePrefix removes the bot name but keeps a leading mention', () => {
+  assert.strictEqual(removeNamePrefix('JuggleAI: hi there', config), 'hi there');
+  assert.strictEqual(removeNamePrefix('@tim, juggleai: hi', config), '@tim, hi');
+  assert.strictEqual(removeNamePrefix('juggleai is great', config), 'juggleai is great');
+});
+
+test('markdownToText flattens markdown to a single line', () => {
+  assert.strictEqual(markdownToText('**Bold** and `code`'), 'Bold and code');
+  assert.strictEqual(markdownToText('# Title\n- one\n- two'), 'Title one two');
+  assert.strictEqual(markdownToText('[site](https://twitch.tv/x)'), 'site https://twitch.tv/x');
+});
+
+test('filterBannedWords replaces whole words only', () => {
+  assert.strictEqual(filterBannedWords('Darn it', config), '*** it');
+  assert.strictEqual(filterBannedWords('darning socks', config), 'darning socks');
+  assert.strictEqual(filterBannedWords('darn', { ...config, bannedWords: [] }), 'darn');
+});
+
+test('allowListUrls keeps allowed domains and subdomains only', () => {
+  assert.strictEqual(allowListUrls('see https://www.twitch.tv/x', config), 'see https://www.twitch.tv/x');
+  assert.strictEqual(allowListUrls('see https://evil.example/x now', config), 'see [link removed] now');
+});
+
+test('sanitizeLinks moves trailing punctuation off links and mentions', () => {
+  assert.strictEqual(sanitizeLinks('go to https://twitch.tv/x.'), 'go to https://twitch.tv/x .');
+  assert.strictEqual(sanitizeLinks('thanks @tim!'), 'thanks @tim !');
+});
+
+test('enforceLengthLimit splits long messages without losing text', () => {
+  assert.deepStrictEqual(enforceLengthLimit('short', config), ['short']);
+
+  const long = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+  const parts = enforceLengthLimit(long, config);
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => part.length <= config.maxLength));
+  assert.strictEqual(parts.join(' '), long);
+});
+
+test('processOutput runs only the enabled stages', () => {
+  assert.deepStrictEqual(processOutput('<think>x</think>**hi** darn', config), ['hi ***']);
+  assert.deepStrictEqual(
+    processOutput('**hi** darn', { ...config, enabledStages: ['filterBannedWords'] }),
+    ['**hi** ***']
+  );
+  assert.deepStrictEqual(processOutput('<think>only reasoning</think>', config), []);
+});
@@ -0,0 +1,129 @@
+const { getSetting } = require('../config/settings');
+const { CHAT_LIMITS } = require('../config/constants');
+const { getTimestamp, getUserRole } = require('./helpers');
+const { renderPrompt } = require('./promptTemplates');
+
+/**
+ * Get the emotes of a message from Twitch's emote ranges
+ * @param {string} text - Message text
+ * @param {Object} emotes - tags.emotes ({ emoteId: ["start-end", ...] }, positions in characters)
+ * @returns {Object[]} - { id, name, start, end } for each emote, in message order
+ */
+function parseEmotes(text, emotes) {
+  const characters = Array.from(text || '');
+  const result = [];
+
+  for (const [id, ranges] of Object.entries(emotes || {})) {
+    for (const range of ranges || []) {
+      const [start, end] = String(range).split('-').map(Number);
+      if (!Number.isInteger(start) || !Number.isInteger(end)) continue;
+      result.push({ id: id, name: characters.slice(start, end + 1).join(''), start: start, end: end });
+    }
+  }
+
+  return result.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build a history record for a chat message
+ * @param {Object} tags - Message tags
+ * @param {string} text - Message text
+ * @returns {Object} - History record
+ */
+function createChatRecord(tags, text) {
+  const username = (tags.username || '').toLowerCase();
+  const replyParentId = tags['reply-parent-msg-id'];
+
+  return {
+    id: tags.id || null,
+    timestamp: Number(tags['tmi-sent-ts']) || getTimestamp(),
+    username: username,
+    displayName: tags['display-name'] || tags.username || '',
+    text: text,
+    isBot: username === getSetting('username', 'bot').toLowerCase(),
+    role: getUserRole(tags),
+    badges: { ...(tags.badges || {}) },
+    firstMessage: tags['first-msg'] === true || tags['first-msg'] === '1',
+    replyParent: replyParentId ? {
+      id: replyParentId,
+      username: (tags['reply-parent-user-login'] || '').toLowerCase(),
+      displayName: tags['reply-parent-display-name'] || tags['reply-parent-user-login'] || '',
+      text: tags['reply-parent-msg-body'] || ''
+    } : null,
+    emotes: parseEmotes(text, tags.emotes)
+  };
+}
+
+/**
+ * Build a history record from a plain "name: message" line (the bot's own messages)
+ * @param {string} line - History line
+ * @returns {Object} - History record
+ */
+function parseHistoryLine(line) {
+  const separator = line.indexOf(':');
+  const name = separator === -1 ? '' : line.slice(0, separator).trim();
+  const username = name.toLowerCase();
+
+  return {
+    id: null,
+    timestamp: getTimestamp(),
+    username: username,
+    displayName: name,
+    text: separator === -1 ? line : line.slice(separator + 1).trim(),
+    isBot: username === getSetting('username', 'bot').toLowerCase(),
+    role: 'everyone',
+    badges: {},
+    firstMessage: false,
+    replyParent: null,
+    emotes: []
+  };
+}
+
+/**
+ * Describe how long ago something happened
+ * @param {number} timestamp - Time in ms
+ * @returns {string} - e.g. "just now", "4m ago", "1h 5m ago"
+ */
+function formatAge(timestamp) {
+  const minutes = Math.floor((getTimestamp() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+}
+
+/**
+ * Render a history record for the prompt with the historyEntry template
+ * @param {Object} record - History record
+ * @returns {string} - Formatted line
+ */
+function formatHistoryEntry(record) {
+  const labels = [];
+  if (record.role !== 'everyone') labels.push(record.role);
+  if (record.firstMessage) labels.push('first message');
+
+  let reply = '';
+  if (record.replyParent) {
+    const parentText = record.replyParent.text.length > CHAT_LIMITS.REPLY_SNIPPET
+      ? `${record.replyParent.text.slice(0, CHAT_LIMITS.REPLY_SNIPPET)}...`
+      : record.replyParent.text;
+    reply = ` (replying to @${record.replyParent.displayName}${parentText ? `: "${parentText}"` : ''})`;
+  }
+
+  return renderPrompt('historyEntry', {
+    age: formatAge(record.timestamp),
+    time: new Date(record.timestamp).toTimeString().slice(0, 5),
+    name: record.displayName || record.username,
+    username: record.username,
+    labels: labels.length > 0 ? ` (${labels.join(', ')})` : '',
+    reply: reply,
+    message: record.text
+  });
+}
+
+module.exports = {
+  parseEmotes,
+  createChatRecord,
+  parseHistoryLine,
+  formatAge,
+  formatHistoryEntry
+};
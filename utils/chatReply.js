@@ -0,0 +1,60 @@
+// Setting that switches native threaded replies on for each kind of response
+const REPLY_THREAD_SETTINGS = {
+  mentions: 'threadMentionReplies',
+  commands: 'threadCommandReplies',
+  shoutouts: 'threadShoutouts'
+};
+
+/**
+ * Check if a response should be sent as a native Twitch threaded reply
+ * @param {BotState} botState - Channel state (for per-channel settings)
+ * @param {Object} tags - Tags of the message being answered
+ * @param {string} context - Kind of response (mentions, commands or shoutouts)
+ * @returns {boolean} - True if threaded
+ */
+function isThreadedReply(botState, tags, context) {
+  const setting = REPLY_THREAD_SETTINGS[context];
+  return !!(setting && tags && tags.id && botState.getSetting(setting, 0) == 1);
+}
+
+/**
+ * Answer a chat message, as a threaded reply or in the classic style
+ * The classic style sends the text as-is, or prefixed with "@user, " when mention is set
+ * @param {Object} twitchClient - tmi.js client
+ * @param {BotState} botState - Channel state
+ * @param {string} channel - Channel name
+ * @param {Object} tags - Tags of the message being answered
+ * @param {string} text - Response text
+ * @param {Object} options - { context, mention, priority } (priority is passed to the outbound queue)
+ * @returns {Promise} - Send result
+ */
+function sendReply(twitchClient, botState, channel, tags, text, options = {}) {
+  const { context = 'commands', mention = false, priority = 'replies' } = options;
+
+  if (isThreadedReply(botState, tags, context)) {
+    botState.rememberBotThread(tags['reply-thread-parent-msg-id'] || tags.id);
+    return twitchClient.reply(channel, text, tags.id, { priority: priority });
+  }
+
+  return twitchClient.say(channel, mention ? `@${tags.username}, ${text}` : text, { priority: priority });
+}
+
+/**
+ * Check if a message is a reply to the bot or sits in a thread the bot answered in
+ * @param {Object} tags - Message tags
+ * @param {string} botUsername - Bot username (lowercase)
+ * @param {BotState} botState - Channel state
+ * @returns {boolean} - True if the message addresses the bot
+ */
+function isReplyToBot(tags, botUsername, botState) {
+  if ((tags['reply-parent-user-login'] || '').toLowerCase() === botUsername) return true;
+  if ((tags['reply-thread-parent-user-login'] || '').toLowerCase() === botUsername) return true;
+  return botState.isBotThread(tags['reply-thread-parent-msg-id']);
+}
+
+module.exports = {
+  REPLY_THREAD_SETTINGS,
+  isThreadedReply,
+  sendReply,
+  isReplyToBot
+};
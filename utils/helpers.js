@@ -1,14 +1,5 @@
 const { MESSAGES } = require('../config/constants');
 
-/**
- * Sanitize Twitch links to prevent accidental punctuation after URLs
- * @param {string} msg - The message containing potential links
- * @returns {string} - The sanitized message
- */
-function sanitizeTwitchLinks(msg) {
-  return msg.replace(/(https:\/\/twitch\.tv\/[a-zA-Z0-9_]+)([.,!?)])/g, '$1 $2');
-}
-
 /**
  * Format a mention for Twitch chat
  * @param {string} username - The username to mention
@@ -31,6 +22,20 @@ function hasElevatedPrivileges(tags, juggleWithTimUsername = 'jugglewithtim') {
   return isBroadcaster || isModerator || isJuggleWithTim;
 }
 
+/**
+ * Get a chatter's highest role from their badges
+ * @param {Object} tags - Twitch message tags
+ * @returns {string} - broadcaster, moderator, vip, subscriber or everyone
+ */
+function getUserRole(tags) {
+  const badges = tags.badges || {};
+  if (badges.broadcaster) return 'broadcaster';
+  if (badges.moderator || tags.mod) return 'moderator';
+  if (badges.vip || tags.vip) return 'vip';
+  if (badges.subscriber || badges.founder || tags.subscriber) return 'subscriber';
+  return 'everyone';
+}
+
 /**
  * Extract command arguments from a message
  * @param {string} message - The full message
@@ -121,10 +126,19 @@ function hasTimeElapsed(lastTime, threshold) {
   return getTimestamp() - lastTime >= threshold;
 }
 
+/**
+ * Wait for a given amount of time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = {
-  sanitizeTwitchLinks,
   formatMention,
   hasElevatedPrivileges,
+  getUserRole,
   extractCommandArgs,
   parseNumber,
   minutesToMs,
@@ -133,5 +147,6 @@ module.exports = {
   generateFilename,
   startsWithAny,
   getTimestamp,
-  hasTimeElapsed
+  hasTimeElapsed,
+  sleep
 };
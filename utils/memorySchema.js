@@ -0,0 +1,77 @@
+// Categories of facts stored as observations on the user entity
+const MEMORY_CATEGORIES = ['identity', 'behaviors', 'preferences', 'goals'];
+
+const ENTITY_TYPES = ['person', 'organization', 'event'];
+
+/**
+ * Keep only the non-empty strings of a list
+ * @param {*} value - Value from the model
+ * @returns {string[]|null} - Cleaned list or null if not a list
+ */
+function toStringList(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  return value
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Validate a relationship entry from the model
+ * @param {*} rel - Relationship candidate
+ * @returns {Object|null} - Valid relationship or null
+ */
+function validateRelationship(rel) {
+  if (!rel || typeof rel !== 'object') {
+    return null;
+  }
+  if (typeof rel.entity !== 'string' || !rel.entity.trim()) {
+    return null;
+  }
+  if (typeof rel.relationType !== 'string' || !rel.relationType.trim()) {
+    return null;
+  }
+
+  return {
+    entity: rel.entity.trim(),
+    entityType: ENTITY_TYPES.includes(rel.entityType) ? rel.entityType : 'person',
+    relationType: rel.relationType.trim(),
+    observations: toStringList(rel.observations) || []
+  };
+}
+
+/**
+ * Validate extracted memory against the identity/behaviors/preferences/goals/relationships schema
+ * Invalid entries and unknown keys are dropped, so only well-formed data reaches memoryService.updateMemory
+ * @param {*} data - Parsed JSON from the model
+ * @returns {Object|null} - Valid memory information (possibly empty) or null if not an object
+ */
+function validateMemoryInfo(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return null;
+  }
+
+  const result = {};
+  for (const category of MEMORY_CATEGORIES) {
+    const facts = toStringList(data[category]);
+    if (facts && facts.length > 0) {
+      result[category] = facts;
+    }
+  }
+
+  if (Array.isArray(data.relationships)) {
+    const relationships = data.relationships.map(validateRelationship).filter(rel => rel !== null);
+    if (relationships.length > 0) {
+      result.relationships = relationships;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MEMORY_CATEGORIES,
+  validateMemoryInfo
+};
@@ -0,0 +1,162 @@
+/**
+ * Builds chat messages sentence by sentence from streamed (or complete) text,
+ * keeping every message under the chat length limit.
+ */
+class MessageSplitter {
+  /**
+   * @param {Object} options - Splitter options
+   * @param {number} options.maxLength - Maximum length of a single message
+   * @param {number} options.maxMessages - Maximum number of messages to produce
+   * @param {number} options.firstMessageReserve - Characters to keep free in the first message (e.g. for a mention prefix)
+   */
+  constructor({ maxLength = 500, maxMessages = 3, firstMessageReserve = 0 } = {}) {
+    this.maxLength = maxLength;
+    this.maxMessages = Math.max(1, maxMessages);
+    this.firstMessageReserve = firstMessageReserve;
+    this.buffer = '';
+    this.current = '';
+    this.emitted = 0;
+    this.pending = [];
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} text - Text delta
+   * @returns {string[]} - Messages that are complete and ready to send
+   */
+  push(text) {
+    if (this.isFull() || !text) return this.takePending();
+
+    this.buffer += text;
+    this.stripReasoning();
+
+    for (const sentence of this.extractSentences()) {
+      this.addSentence(sentence);
+    }
+
+    return this.takePending();
+  }
+
+  /**
+   * Finish the reply, returning whatever is left
+   * @returns {string[]} - Remaining messages
+   */
+  flush() {
+    this.buffer = this.buffer.replace(/<think[^>]*>[\s\S]*$/i, '');
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    if (rest) {
+      this.addSentence(rest);
+    }
+    if (this.current && !this.isFull()) {
+      this.emit(this.current);
+    }
+    this.current = '';
+    return this.takePending();
+  }
+
+  /**
+   * Check if the message limit has been reached
+   * @returns {boolean} - True if no more messages will be produced
+   */
+  isFull() {
+    return this.emitted >= this.maxMessages;
+  }
+
+  /**
+   * Remove completed reasoning blocks and hold back text inside an open one
+   */
+  stripReasoning() {
+    this.buffer = this.buffer.replace(/<think[^>]*>[\s\S]*?<\/think>/gi, '');
+  }
+
+  /**
+   * Pull complete sentences off the front of the buffer
+   * @returns {string[]} - Complete sentences
+   */
+  extractSentences() {
+    // Don't split while a reasoning block is still open
+    const openThink = this.buffer.search(/<think[^>]*>/i);
+    const searchable = openThink === -1 ? this.buffer : this.buffer.slice(0, openThink);
+
+    const sentences = [];
+    const boundary = /([.!?…]+["'”’)\]]*)\s+|\n+/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = boundary.exec(searchable)) !== null) {
+      const end = match.index + (match[1] ? match[1].length : 0);
+      const sentence = searchable.slice(lastIndex, end).trim();
+      if (sentence) {
+        sentences.push(sentence);
+      }
+      lastIndex = match.index + match[0].length;
+    }
+
+    this.buffer = this.buffer.slice(lastIndex);
+    return sentences;
+  }
+
+  /**
+   * Add a sentence to the current message, emitting messages as they fill up
+   * @param {string} sentence - Sentence to add
+   */
+  addSentence(sentence) {
+    if (this.isFull()) return;
+
+    const candidate = this.current ? `${this.current} ${sentence}` : sentence;
+    if (candidate.length <= this.currentLimit()) {
+      this.current = candidate;
+      return;
+    }
+
+    if (this.current) {
+      this.emit(this.current);
+      this.current = '';
+    }
+
+    // A single sentence longer than a message gets split on word boundaries
+    let rest = sentence;
+    while (!this.isFull() && rest.length > this.currentLimit()) {
+      const limit = this.currentLimit();
+      let cut = rest.lastIndexOf(' ', limit);
+      if (cut <= 0) cut = limit;
+      this.emit(rest.slice(0, cut).trim());
+      rest = rest.slice(cut).trim();
+    }
+
+    if (!this.isFull()) {
+      this.current = rest;
+    }
+  }
+
+  /**
+   * Get the length limit for the message currently being built
+   * @returns {number} - Character limit
+   */
+  currentLimit() {
+    return this.emitted === 0 ? this.maxLength - this.firstMessageReserve : this.maxLength;
+  }
+
+  /**
+   * Queue a finished message
+   * @param {string} message - Message text
+   */
+  emit(message) {
+    if (!message) return;
+    this.pending.push(message);
+    this.emitted++;
+  }
+
+  /**
+   * Return and clear queued messages
+   * @returns {string[]} - Queued messages
+   */
+  takePending() {
+    const messages = this.pending;
+    this.pending = [];
+    return messages;
+  }
+}
+
+module.exports = MessageSplitter;
@@ -0,0 +1,251 @@
+const { getSetting } = require('../config/settings');
+const { CHAT_LIMITS } = require('../config/constants');
+const MessageSplitter = require('./messageSplitter');
+
+const URL_PATTERN = /https?:\/\/[^\s]+/gi;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove reasoning blocks (<think>...</think>), including an unclosed one at the end
+ * @param {string} text - Message text
+ * @returns {string} - Text without reasoning
+ */
+function stripReasoning(text) {
+  return text
+    .replace(/<think[^>]*>[\s\S]*?<\/think>/gi, '')
+    .replace(/<think[^>]*>[\s\S]*$/i, '')
+    .trim();
+}
+
+/**
+ * Remove the bot's own name when the model starts its reply with it ("BotName: hi")
+ * A leading @mention of the chatter is kept
+ * @param {string} text - Message text
+ * @param {Object} config - Pipeline config ({ botUsername })
+ * @returns {string} - Text without the name prefix
+ */
+function removeNamePrefix(text, config) {
+  if (!config.botUsername) return text;
+
+  const name = escapeRegExp(config.botUsername);
+  return text.replace(new RegExp(`^(@[a-zA-Z0-9_]+,?\\s+)?@?${name}\\s*:\\s*`, 'i'), '$1');
+}
+
+/**
+ * Convert markdown to plain chat text (Twitch shows markdown literally and drops newlines)
+ * @param {string} text - Message text
+ * @returns {string} - Plain text on a single line
+ */
+function markdownToText(text) {
+  return text
+    .replace(/```[a-z]*\n?([\s\S]*?)```/gi, '$1')
+    .replace(/`([^`\n]+)`/g, '$1')
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '$1 $2')
+    .replace(/\*\*([^*\n]+)\*\*/g, '$1')
+    .replace(/__([^_\n]+)__/g, '$1')
+    .replace(/(^|\s)\*(\S[^*\n]*?\S|\S)\*(?=\s|[.,!?]|$)/g, '$1$2')
+    .replace(/~~([^~\n]+)~~/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/\s*\n+\s*/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a pattern matching any of the banned words (whole words, case-insensitive)
+ * @param {string[]} bannedWords - Banned words
+ * @returns {RegExp|null} - Pattern, or null when there are no banned words
+ */
+function buildBannedWordPattern(bannedWords) {
+  const words = (bannedWords || []).filter(word => word.trim());
+  if (words.length === 0) return null;
+
+  return new RegExp(`(?<![\\w])(${words.map(word => escapeRegExp(word.trim())).join('|')})(?![\\w])`, 'gi');
+}
+
+/**
+ * Replace banned words (whole words, case-insensitive)
+ * @param {string} text - Message text
+ * @param {Object} config - Pipeline config ({ bannedWords, bannedWordReplacement })
+ * @returns {string} - Filtered text
+ */
+function filterBannedWords(text, config) {
+  const pattern = buildBannedWordPattern(config.bannedWords);
+  return pattern ? text.replace(pattern, config.bannedWordReplacement) : text;
+}
+
+/**
+ * Check if a text contains a banned word
+ * @param {string} text - Text to check
+ * @param {string[]} bannedWords - Banned words (defaults to the bannedWords setting)
+ * @returns {boolean} - True if a banned word was found
+ */
+function containsBannedWord(text, bannedWords = getSetting('bannedWords', [])) {
+  const pattern = buildBannedWordPattern(bannedWords);
+  return !!pattern && pattern.test(text);
+}
+
+/**
+ * Check if a URL's host is on the allow-list (subdomains included)
+ * @param {string} url - URL
+ * @param {string[]} allowedDomains - Allowed domains
+ * @returns {boolean} - True if allowed
+ */
+function isUrlAllowed(url, allowedDomains) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return allowedDomains.some(domain => {
+      const allowed = domain.trim().toLowerCase();
+      return allowed && (hostname === allowed || hostname.endsWith(`.${allowed}`));
+    });
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove links to domains that are not on the allow-list
+ * @param {string} text - Message text
+ * @param {Object} config - Pipeline config ({ allowedDomains })
+ * @returns {string} - Text with only allowed links
+ */
+function allowListUrls(text, config) {
+  return text
+    .replace(URL_PATTERN, url => isUrlAllowed(url, config.allowedDomains) ? url : '[link removed]')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Keep punctuation from sticking to the end of links and mentions, where Twitch would include it
+ * @param {string} text - Message text
+ * @returns {string} - Sanitized text
+ */
+function sanitizeLinks(text) {
+  return text
+    .replace(/(https?:\/\/[^\s]+?)([.,!?)\]]+)(?=\s|$)/g, '$1 $2')
+    .replace(/(@[a-zA-Z0-9_]+)([.!?:;]+)(?=\s|$)/g, '$1 $2');
+}
+
+/**
+ * Split a message that is over the chat length limit into several messages,
+ * at sentence boundaries where possible, so nothing is cut off
+ * @param {string} text - Message text
+ * @param {Object} config - Pipeline config ({ maxLength })
+ * @returns {string[]} - Messages within the limit
+ */
+function enforceLengthLimit(text, config) {
+  if (text.length <= config.maxLength) return [text];
+
+  const splitter = new MessageSplitter({ maxLength: config.maxLength, maxMessages: Infinity });
+  return [...splitter.push(text), ...splitter.flush()];
+}
+
+// Stages run in this order; each can be switched off with its setting.
+// A stage returns the processed text, or several messages (enforceLengthLimit).
+const OUTPUT_STAGES = [
+  { name: 'stripReasoning', setting: 'outputStripReasoning', enabledByDefault: 1, run: stripReasoning },
+  { name: 'removeNamePrefix', setting: 'outputRemoveNamePrefix', enabledByDefault: 1, run: removeNamePrefix },
+  { name: 'markdownToText', setting: 'outputMarkdownToText', enabledByDefault: 1, run: markdownToText },
+  { name: 'filterBannedWords', setting: 'outputFilterBannedWords', enabledByDefault: 1, run: filterBannedWords },
+  { name: 'allowListUrls', setting: 'outputUrlAllowList', enabledByDefault: 0, run: allowListUrls },
+  { name: 'sanitizeLinks', setting: 'outputSanitizeLinks', enabledByDefault: 1, run: sanitizeLinks },
+  { name: 'enforceLengthLimit', setting: 'outputLengthLimit', enabledByDefault: 1, run: enforceLengthLimit }
+];
+
+/**
+ * Build the pipeline config from settings
+ * @returns {Object} - Config with enabled stages and stage options
+ */
+function getOutputConfig() {
+  const allowedDomains = [...(getSetting('allowedUrlDomains', []) || [])];
+
+  // Links to the bot's own generated images are always allowed
+  try {
+    allowedDomains.push(new URL(getSetting('imagePublicUrl')).hostname);
+  } catch (error) {
+    // No public image URL configured
+  }
+
+  return {
+    enabledStages: OUTPUT_STAGES.filter(stage => getSetting(stage.setting, stage.enabledByDefault) == 1).map(stage => stage.name),
+    botUsername: getSetting('username', ''),
+    allowedDomains: allowedDomains,
+    bannedWords: getSetting('bannedWords', []) || [],
+    bannedWordReplacement: getSetting('bannedWordReplacement', '***'),
+    maxLength: CHAT_LIMITS.MESSAGE_LENGTH
+  };
+}
+
+/**
+ * Run a message through the enabled output stages
+ * @param {string} text - Message text
+ * @param {Object} config - Pipeline config (defaults to the current settings)
+ * @returns {string[]} - Messages to send (none when the text ends up empty)
+ */
+function processOutput(text, config = getOutputConfig()) {
+  let output = [String(text || '')];
+  for (const stage of OUTPUT_STAGES) {
+    if (config.enabledStages.includes(stage.name)) {
+      output = output.flatMap(message => stage.run(message, config));
+    }
+  }
+  return output.filter(message => message);
+}
+
+/**
+ * Make text safe to put in a raw IRC line (a line break would start another command)
+ * @param {string} text - Text
+ * @returns {string} - Text on a single line
+ */
+function toIrcLine(text) {
+  return String(text).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Route every say() and reply() of a Twitch client through the output pipeline
+ * Messages that end up empty are not sent; long ones go out as several messages.
+ * Clients without reply() (tmi.js 1.x) get one that sends the reply-parent-msg-id tag itself.
+ * @param {Object} client - tmi.js client
+ * @returns {Object} - The same client
+ */
+function applyOutputPipeline(client) {
+  const say = client.say.bind(client);
+  const reply = typeof client.reply === 'function'
+    ? client.reply.bind(client)
+    : (channel, message, parentId) => client.raw(`@reply-parent-msg-id=${toIrcLine(parentId)} PRIVMSG #${toIrcLine(channel.replace(/^#/, ''))} :${toIrcLine(message)}`);
+
+  const send = async (channel, message, sendOne) => {
+    for (const output of processOutput(message)) {
+      await sendOne(output);
+    }
+    return [channel];
+  };
+
+  client.say = (channel, message) => send(channel, message, output => say(channel, output));
+  client.reply = (channel, message, parentId) => send(channel, message, output => reply(channel, output, parentId));
+  return client;
+}
+
+module.exports = {
+  OUTPUT_STAGES,
+  stripReasoning,
+  removeNamePrefix,
+  markdownToText,
+  filterBannedWords,
+  containsBannedWord,
+  allowListUrls,
+  sanitizeLinks,
+  enforceLengthLimit,
+  getOutputConfig,
+  processOutput,
+  applyOutputPipeline
+};
@@ -0,0 +1,45 @@
+const { getSetting } = require('../config/settings');
+const { PROMPT_TEMPLATES } = require('../config/constants');
+
+/**
+ * Replace {placeholders} in a template with values
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Filled text (unknown placeholders are left as-is)
+ */
+function fillTemplate(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+  );
+}
+
+/**
+ * Get the text of a named template, preferring the override from settings
+ * @param {string} name - Template name
+ * @returns {string} - Template text
+ */
+function getTemplate(name) {
+  const definition = PROMPT_TEMPLATES[name];
+  if (!definition) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const override = (getSetting('promptTemplates', {}) || {})[name];
+  return typeof override === 'string' && override.trim() ? override : definition.template;
+}
+
+/**
+ * Build the prompt for a named template
+ * @param {string} name - Template name
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Prompt text
+ */
+function renderPrompt(name, values = {}) {
+  return fillTemplate(getTemplate(name), values);
+}
+
+module.exports = {
+  fillTemplate,
+  getTemplate,
+  renderPrompt
+};
@@ -0,0 +1,76 @@
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse wake word entries from settings
+ * Entries are "word" (always answers) or "word:probability" (answers that share of the time, 0-1)
+ * @param {string[]} entries - Wake word entries
+ * @returns {Object[]} - { word, probability } for each valid entry
+ */
+function parseWakeWords(entries) {
+  return (entries || [])
+    .map(entry => {
+      const match = String(entry).trim().match(/^(.+?)(?::\s*([\d.]+))?$/);
+      if (!match) return null;
+
+      const probability = match[2] === undefined ? 1 : Number(match[2]);
+      return {
+        word: match[1].trim().replace(/^@/, ''),
+        probability: Number.isFinite(probability) ? Math.min(1, Math.max(0, probability)) : 1
+      };
+    })
+    .filter(wakeWord => wakeWord && wakeWord.word);
+}
+
+/**
+ * Build the pattern matching a wake word as a whole word (case-insensitive, optional @)
+ * @param {string} word - Wake word
+ * @returns {RegExp} - Pattern
+ */
+function wakeWordPattern(word) {
+  return new RegExp(`(?<![\\w@])@?${escapeRegExp(word)}(?![\\w])`, 'i');
+}
+
+/**
+ * Find the wake words in a message, matched as whole words (case-insensitive, optional @)
+ * @param {string} message - Message text
+ * @param {Object[]} wakeWords - Parsed wake words
+ * @returns {Object|null} - The matched wake word with the highest probability, or null
+ */
+function findWakeWord(message, wakeWords) {
+  let best = null;
+  for (const wakeWord of wakeWords) {
+    if (wakeWordPattern(wakeWord.word).test(message) && (!best || wakeWord.probability > best.probability)) {
+      best = wakeWord;
+    }
+  }
+  return best;
+}
+
+/**
+ * Remove a wake word from a message, with the comma or colon that usually follows it
+ * e.g. "hey botty, how are you" -> "hey how are you", "what is up botty?" -> "what is up?"
+ * @param {string} message - Message text
+ * @param {string} word - Wake word
+ * @returns {string} - Message without the wake word
+ */
+function removeWakeWord(message, word) {
+  if (!word) return message;
+  return message
+    .replace(new RegExp(`${wakeWordPattern(word).source}[,:]?`, 'gi'), '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,.!?])/g, '$1')
+    .trim();
+}
+
+module.exports = {
+  parseWakeWords,
+  findWakeWord,
+  removeWakeWord
+};
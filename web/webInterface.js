@@ -1,8 +1,13 @@
 const express = require('express');
-const { loadSettings, saveSettings, getSettings, setSetting } = require('../config/settings');
-const { SETTINGS_EDITABLE_FIELDS, FIELD_LABELS, CHECKBOX_FIELDS, MESSAGES } = require('../config/constants');
+const { loadSettings, saveSettings, getSettings, getSetting, setSetting, normalizeChannel } = require('../config/settings');
+const { SETTINGS_EDITABLE_FIELDS, FIELD_LABELS, CHECKBOX_FIELDS, MESSAGES, BOT_STATE_EVENTS, BOT_EVENT_LOG_SIZE, MODEL_ROUTE_PURPOSES, DEFAULT_MODEL_ROUTES, PROMPT_TEMPLATES, PROMPT_TEMPLATE_SAMPLES } = require('../config/constants');
 const botState = require('../models/botState');
 const discordBot = require('../discordbot.js');
+const { listProviders, getActiveProviderName } = require('../services/providers');
+const usageService = require('../services/usageService');
+const stateSnapshotService = require('../services/stateSnapshotService');
+const { listImageBackends } = require('../services/imageBackends');
+const { fillTemplate } = require('../utils/promptTemplates');
 
 const app = express();
 let discordClientToken = null;
@@ -11,10 +16,26 @@ class WebInterface {
   constructor(port) {
     this.port = port;
     this.app = app;
+    this.recentEvents = [];
+    this.botStates = [];
     this.setupMiddleware();
     this.setupRoutes();
   }
 
+  /**
+   * Subscribe to a channel's state events and show its chat activity on the settings page
+   * @param {BotState} botState - Channel state
+   */
+  watchBotState(botState) {
+    this.botStates.push(botState);
+    for (const event of Object.values(BOT_STATE_EVENTS)) {
+      botState.on(event, (details) => {
+        this.recentEvents.unshift({ event: event, ...details });
+        this.recentEvents.length = Math.min(this.recentEvents.length, BOT_EVENT_LOG_SIZE);
+      });
+    }
+  }
+
   /**
    * Setup Express middleware
    */
@@ -127,11 +148,24 @@ class WebInterface {
         let v;
         if (CHECKBOX_FIELDS.includes(k)) {
           v = req.body[k] === "1" ? 1 : 0;
-        } else if (k === "discordChannels") {
+        } else if (k === "discordChannels" || k === "providerFailover" || k === "bannedWords" || k === "allowedUrlDomains" || k === "ignoredUsers" || k === "inputBannedWords" || k === "channels" || k === "wakeWords" || k === "responseLimitExemptUsers") {
           const raw = req.body[k] || '';
           v = raw.split(',').map(s => s.trim()).filter(s => s.length > 0);
+        } else if (k === "channelSettings") {
+          v = this.parseChannelSettings(req.body[k] || '', req.body.channelSettingsLoaded || '');
+        } else if (k === "modelRoutes") {
+          v = this.parseModelRoutes(req.body[k] || {});
+        } else if (k === "promptTemplates") {
+          v = this.parsePromptTemplates(req.body[k] || {});
+        } else if (k === "circuitBreakerCooldown") {
+          v = Math.round(Number(req.body[k]) * 1000);
+        } else if (k === "maxReplyMessages" || k === "replyPacingDelay" || k === "followUpWindow" || k === "channelReplyLimit" || (k.startsWith("responseLimit") && k !== "responseLimitExemptUsers") || k === "aiMaxRetries" || k === "circuitBreakerThreshold" || k === "dailyBudget" || k === "monthlyBudget") {
+          v = Number(req.body[k]) || 0;
         } else if (k === "inactivityThreshold") {
           v = Math.round(Number(req.body[k]) * 60000);
+        } else if (k === "stateSnapshotMaxAge") {
+          // A blank box keeps the default instead of turning restoring off
+          v = String(req.body[k] || '').trim() === '' ? 30 : Number(req.body[k]) || 0;
         } else if (typeof getSettings()[k] === "number") {
           v = Number(req.body[k]);
         } else if (typeof getSettings()[k] === "string") {
@@ -146,6 +180,7 @@ class WebInterface {
 
       if (action === "restart") {
         res.send(MESSAGES.RESTARTING);
+        await stateSnapshotService.save();
         setTimeout(() => {
           console.log("Admin requested restart. Exiting process.");
           process.exit(1);
@@ -157,6 +192,121 @@ class WebInterface {
     });
   }
 
+  /**
+   * Parse the model routing table from form data
+   * Blank fields are stored as empty so the route falls back to its default
+   */
+  parseModelRoutes(formRoutes) {
+    const routes = {};
+    for (const purpose of Object.keys(MODEL_ROUTE_PURPOSES)) {
+      const route = formRoutes[purpose] || {};
+      const temperature = String(route.temperature || '').trim();
+      const maxTokens = String(route.maxTokens || '').trim();
+      routes[purpose] = {
+        provider: route.provider || '',
+        model: String(route.model || '').trim(),
+        temperature: temperature === '' ? null : Number(temperature),
+        maxTokens: maxTokens === '' ? null : parseInt(maxTokens, 10)
+      };
+    }
+    return routes;
+  }
+
+  /**
+   * Parse a channelSettings JSON blob
+   * @param {string} raw - JSON text
+   * @returns {Object} - Overrides by normalized channel name
+   */
+  parseChannelSettingsJson(raw) {
+    if (!String(raw).trim()) return {};
+
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected an object of channel names');
+    }
+
+    const channelSettings = {};
+    for (const [channel, overrides] of Object.entries(parsed)) {
+      if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+        channelSettings[normalizeChannel(channel)] = overrides;
+      }
+    }
+    return channelSettings;
+  }
+
+  /**
+   * Parse per-channel overrides from the settings form
+   * The bot writes runtime state here too (waifus, quota usage, !aitimer, !aiauto), so the form is
+   * merged with the current overrides: values the admin edited win, values left as they were when
+   * the page loaded keep whatever the bot stored since. Invalid JSON keeps the current overrides.
+   * @param {string} raw - Submitted JSON
+   * @param {string} loadedRaw - JSON as it was when the page was rendered
+   * @returns {Object} - Overrides to save
+   */
+  parseChannelSettings(raw, loadedRaw) {
+    const current = getSetting('channelSettings', {}) || {};
+
+    let submitted;
+    let loaded;
+    try {
+      submitted = this.parseChannelSettingsJson(raw);
+      loaded = this.parseChannelSettingsJson(loadedRaw);
+    } catch (error) {
+      console.error('Invalid channel settings, keeping the current ones:', error.message);
+      return current;
+    }
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const channelSettings = {};
+    const channels = new Set([...Object.keys(current), ...Object.keys(submitted)]);
+
+    for (const channel of channels) {
+      // Removed in the form
+      if (!submitted[channel] && loaded[channel]) continue;
+
+      const form = submitted[channel] || {};
+      const before = loaded[channel] || {};
+      const now = current[channel] || {};
+      const merged = {};
+
+      for (const key of new Set([...Object.keys(now), ...Object.keys(form)])) {
+        if (key in form) {
+          merged[key] = !same(form[key], before[key]) || !(key in now) ? form[key] : now[key];
+        } else if (!(key in before)) {
+          merged[key] = now[key]; // Stored by the bot after the page loaded
+        }
+      }
+      channelSettings[channel] = merged;
+    }
+    return channelSettings;
+  }
+
+  /**
+   * Parse prompt template overrides from the settings form
+   * Templates left blank or identical to the default are not stored, so they follow future default changes
+   */
+  parsePromptTemplates(formTemplates) {
+    const templates = {};
+    for (const [name, definition] of Object.entries(PROMPT_TEMPLATES)) {
+      const text = String(formTemplates[name] || '').replace(/\r\n/g, '\n').trim();
+      if (text && text !== definition.template) {
+        templates[name] = text;
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * Escape text for use inside HTML
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Render input fields for settings
    */
@@ -168,6 +318,20 @@ class WebInterface {
     if (CHECKBOX_FIELDS.includes(key)) {
       return `<input type="checkbox" id="${key}" name="${key}" value="1" ${value == 1 ? "checked" : ""}>`;
     }
+    if (key === "llmProvider") {
+      const selected = value || getActiveProviderName();
+      const options = listProviders().map(p =>
+        `<option value="${p.name}" ${p.name === selected ? "selected" : ""}>${p.label}</option>`
+      ).join("");
+      return `<select id="${key}" name="${key}">${options}</select>`;
+    }
+    if (key === "imageBackend") {
+      const selected = value || 'openai';
+      const options = listImageBackends().map(b =>
+        `<option value="${b.name}" ${b.name === selected ? "selected" : ""}>${b.label}</option>`
+      ).join("");
+      return `<select id="${key}" name="${key}">${options}</select>`;
+    }
     if (key === "inactivityThreshold") {
       let minutes = Math.max(1, Math.round(Number(value) / 60000));
       return `<input type="number" id="${key}" name="${key}" value="${minutes}" min="1" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">minutes</span>`;
@@ -178,6 +342,38 @@ class WebInterface {
     if (key === "DEFAULT_ADDITIONAL_PROMPT") {
       return `<textarea id="${key}" name="${key}" rows="10" cols="60">${value}</textarea>`;
     }
+    if (key === "maxReplyMessages") {
+      return `<input type="number" id="${key}" name="${key}" value="${value || 3}" min="1" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">messages</span>`;
+    }
+    if (key === "replyPacingDelay") {
+      return `<input type="number" id="${key}" name="${key}" value="${value === undefined ? 1500 : value}" min="0" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">ms</span>`;
+    }
+    if (key === "channelSettings") {
+      // The loaded copy lets the save keep runtime changes the bot made while the page was open
+      const json = this.escapeHtml(JSON.stringify(value || {}, null, 2));
+      return `<textarea id="${key}" name="${key}" rows="8" style="font-family: monospace;">${json}</textarea>
+        <input type="hidden" name="channelSettingsLoaded" value="${json}" />`;
+    }
+    if (key === "providerFailover" || key === "bannedWords" || key === "allowedUrlDomains" || key === "ignoredUsers" || key === "inputBannedWords" || key === "channels" || key === "wakeWords" || key === "responseLimitExemptUsers") {
+      const displayVal = Array.isArray(value) ? value.join(', ') : (value || '');
+      return `<input type="text" id="${key}" name="${key}" value="${displayVal}" style="width: 92%;" />`;
+    }
+    if (key === "aiMaxRetries") {
+      return `<input type="number" id="${key}" name="${key}" value="${value === undefined ? 2 : value}" min="0" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">retries</span>`;
+    }
+    if (key === "circuitBreakerThreshold") {
+      return `<input type="number" id="${key}" name="${key}" value="${value || 3}" min="1" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">failures</span>`;
+    }
+    if (key === "circuitBreakerCooldown") {
+      const seconds = Math.round((value === undefined ? 60000 : value) / 1000);
+      return `<input type="number" id="${key}" name="${key}" value="${seconds}" min="1" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">seconds</span>`;
+    }
+    if (key === "dailyBudget" || key === "monthlyBudget") {
+      return `<input type="number" id="${key}" name="${key}" value="${value || 0}" min="0" step="0.01" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">USD</span>`;
+    }
+    if (key === "stateSnapshotMaxAge") {
+      return `<input type="number" id="${key}" name="${key}" value="${value === undefined || value === '' ? 30 : value}" min="0" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">minutes</span>`;
+    }
     if (key === "maxHistoryLength") {
       return `<input type="number" id="${key}" name="${key}" value="${value}" min="1" style="width:80px;" /> <span style="font-size:0.97em;color:#ccc;">messages</span>`;
     }
@@ -201,7 +397,7 @@ class WebInterface {
     if (typeof value === "string" && value.length > 80) {
       return `<textarea id="${key}" name="${key}" rows="6" cols="60">${value}</textarea>`;
     }
-    if (key === "discordBotToken") {
+    if (key === "discordBotToken" || key === "openaiApiKey" || key === "compatibleApiKey") {
       return `<input type="password" id="${key}" name="${key}" value="${value === undefined ? '' : value}"
         style="width: 92%; padding: 7px; border-radius: 5px; border: 1px solid #8070c7; font-size: 1em; background: #202025; color: #fafaff;" />`;
     }
@@ -245,6 +441,57 @@ class WebInterface {
     return html;
   }
 
+  /**
+   * Render the per-purpose model routing table
+   */
+  renderModelRoutesField(key, routes) {
+    const providers = listProviders();
+    let html = '<table style="width: 100%; border-collapse: collapse;">';
+    html += '<tr style="text-align: left; color: #b080fa;"><th>Purpose</th><th>Provider</th><th>Model</th><th>Temp.</th><th>Max tokens</th></tr>';
+
+    for (const [purpose, label] of Object.entries(MODEL_ROUTE_PURPOSES)) {
+      const route = routes[purpose] || {};
+      const defaults = DEFAULT_MODEL_ROUTES[purpose];
+      const name = `${key}[${purpose}]`;
+      const providerOptions = [`<option value="">Default</option>`, ...providers.map(p =>
+        `<option value="${p.name}" ${route.provider === p.name ? "selected" : ""}>${p.label}</option>`
+      )].join("");
+
+      html += `<tr>`;
+      html += `<td style="padding: 4px 6px 4px 0;">${label}</td>`;
+      html += `<td style="padding: 4px 6px 4px 0;"><select name="${name}[provider]" style="width: 120px;">${providerOptions}</select></td>`;
+      html += `<td style="padding: 4px 6px 4px 0;"><input type="text" name="${name}[model]" value="${route.model || ''}" placeholder="provider default" style="width: 130px;" /></td>`;
+      html += `<td style="padding: 4px 6px 4px 0;"><input type="number" name="${name}[temperature]" value="${route.temperature ?? ''}" placeholder="${defaults.temperature ?? ''}" step="0.1" min="0" max="2" style="width: 60px;" /></td>`;
+      html += `<td style="padding: 4px 0;"><input type="number" name="${name}[maxTokens]" value="${route.maxTokens ?? ''}" placeholder="${defaults.maxTokens ?? ''}" min="1" style="width: 70px;" /></td>`;
+      html += `</tr>`;
+    }
+
+    html += '</table>';
+    html += '<p style="font-size: 0.9em; color: #ccc;">Leave a field blank to use the default. Memory extraction on OpenAI uses gpt-5-nano unless a model is set.</p>';
+    return html;
+  }
+
+  /**
+   * Render the prompt template editor with live previews
+   */
+  renderPromptTemplatesField(key, overrides) {
+    let html = '<p style="font-size: 0.9em; color: #ccc; margin-top: 0;">Clear a template to restore the default. The preview fills placeholders with example values.</p>';
+
+    for (const [name, definition] of Object.entries(PROMPT_TEMPLATES)) {
+      const text = overrides[name] || definition.template;
+      const placeholders = definition.placeholders.map(p => `{${p}}`).join(' ');
+
+      html += `<div class="field">`;
+      html += `<label for="template-${name}">${definition.label}${overrides[name] ? ' <span style="color: #4CAF50; font-weight: normal;">(customized)</span>' : ''}</label>`;
+      html += `<textarea id="template-${name}" name="${key}[${name}]" rows="${name === 'memoryExtraction' ? 12 : 3}" oninput="previewTemplate('${name}')">${this.escapeHtml(text)}</textarea>`;
+      html += `<div style="font-size: 0.85em; color: #ccc; margin-top: 4px;">Placeholders: ${placeholders}</div>`;
+      html += `<div id="preview-${name}" style="font-size: 0.9em; white-space: pre-wrap; background: #202025; border-radius: 5px; padding: 6px; margin-top: 4px; max-height: 160px; overflow-y: auto;">${this.escapeHtml(fillTemplate(text, PROMPT_TEMPLATE_SAMPLES))}</div>`;
+      html += `</div>`;
+    }
+
+    return html;
+  }
+
   /**
    * Render scheduled messages management field
    */
@@ -281,6 +528,93 @@ class WebInterface {
     return html;
   }
 
+  /**
+   * Render today's and this month's AI usage with budget status
+   */
+  renderUsageSummary() {
+    const summary = usageService.getSummary();
+    const formatCost = (cost) => `$${cost.toFixed(4)}`;
+
+    const renderTotals = (title, totals, budget) => {
+      const budgetText = budget > 0 ? ` of $${budget.toFixed(2)} (${Math.round(totals.cost / budget * 100)}%)` : '';
+      const purposes = Object.entries(totals.byPurpose).map(([purpose, p]) =>
+        `<li>${purpose}: ${p.calls} calls, ${p.tokens} tokens${p.images ? `, ${p.images} images` : ''}, ${formatCost(p.cost)}</li>`
+      ).join('');
+
+      return `<div class="field">
+        <label>${title}</label>
+        <div>${totals.calls} calls, ${totals.promptTokens + totals.completionTokens} tokens, ${totals.images} images</div>
+        <div>Estimated cost: ${formatCost(totals.cost)}${budgetText}</div>
+        ${purposes ? `<ul style="margin: 6px 0 0; padding-left: 20px; color: #ccc;">${purposes}</ul>` : ''}
+      </div>`;
+    };
+
+    let html = renderTotals(`Today (${summary.day})`, summary.daily, summary.dailyBudget);
+    html += renderTotals(`This month (${summary.month})`, summary.monthly, summary.monthlyBudget);
+
+    if (summary.disabledGroups.length > 0) {
+      html += `<div class="field" style="color: #e74c3c;">Paused by budget: ${summary.disabledGroups.join(', ')}</div>`;
+    }
+    return html;
+  }
+
+  /**
+   * Render the most recent bot state events, newest first
+   */
+  renderRecentEvents() {
+    if (this.recentEvents.length === 0) {
+      return '<div class="field" style="color: #ccc;">No events yet.</div>';
+    }
+
+    const describe = (entry) => {
+      switch (entry.event) {
+        case BOT_STATE_EVENTS.QUOTA_RESET:
+          return `image quota reset ${entry.automatic ? 'automatically' : 'by command'} (was ${entry.previousUsage})`;
+        case BOT_STATE_EVENTS.HISTORY_TRIMMED:
+          return `${entry.removed.length} history message(s) removed (${entry.reason})`;
+        case BOT_STATE_EVENTS.USER_LIMIT_REACHED:
+          return `${entry.username} reached the response limit (${entry.limit})`;
+        default:
+          return entry.event;
+      }
+    };
+
+    const items = this.recentEvents.map(entry =>
+      `<li>${new Date(entry.timestamp).toLocaleTimeString()} #${this.escapeHtml(entry.channel)}: ${this.escapeHtml(describe(entry))}</li>`
+    ).join('');
+    return `<ul style="margin: 0; padding-left: 20px; color: #ccc;">${items}</ul>`;
+  }
+
+  /**
+   * Render chat analytics for each channel
+   */
+  renderChatAnalytics() {
+    if (this.botStates.length === 0) {
+      return '<div class="field" style="color: #ccc;">No channels yet.</div>';
+    }
+
+    const list = (items) => items.length > 0
+      ? items.map(item => `${this.escapeHtml(item.name)} (${item.count})`).join(', ')
+      : 'none';
+
+    return this.botStates.map(botState => {
+      const analytics = botState.getChatAnalytics();
+      const roles = Object.entries(analytics.byRole).map(([role, count]) => `${role}: ${count}`).join(', ') || 'none';
+
+      return `<div class="field">
+        <label>#${this.escapeHtml(botState.channel)} since ${new Date(analytics.since).toLocaleString()}</label>
+        <div>${analytics.messages} messages from ${analytics.uniqueChatters} chatters, ${analytics.recentMessagesPerMinute}/min recently</div>
+        <ul style="margin: 6px 0 0; padding-left: 20px; color: #ccc;">
+          <li>By role: ${roles}</li>
+          <li>Replies: ${analytics.replies}, deleted: ${analytics.deleted}</li>
+          <li>First-time chatters: ${analytics.firstTimeChatters.map(name => this.escapeHtml(name)).join(', ') || 'none'}</li>
+          <li>Top chatters: ${list(analytics.topChatters)}</li>
+          <li>Top emotes: ${list(analytics.topEmotes)}</li>
+        </ul>
+      </div>`;
+    }).join('');
+  }
+
   /**
    * Render the complete settings page
    */
@@ -291,7 +625,15 @@ class WebInterface {
     const discordFields = ['discordBotToken', 'discordChannels', 'discordSystemPrompt'];
     const scheduledFields = ['enableScheduledMessages', 'scheduledMessageTimer', 'scheduledMessages'];
     const customCommandFields = ['customCommands'];
-    const regularFields = SETTINGS_EDITABLE_FIELDS.filter(k => !discordFields.includes(k) && !scheduledFields.includes(k) && !customCommandFields.includes(k) && k !== 'enableDiscordBot');
+    const routingFields = ['modelRoutes'];
+    const templateFields = ['promptTemplates'];
+    const outputFields = ['outputStripReasoning', 'outputRemoveNamePrefix', 'outputMarkdownToText', 'outputFilterBannedWords', 'bannedWords', 'bannedWordReplacement', 'outputUrlAllowList', 'allowedUrlDomains', 'outputSanitizeLinks', 'outputLengthLimit'];
+    const budgetFields = ['dailyBudget', 'monthlyBudget'];
+    const channelFields = ['channels', 'channelSettings'];
+    const limitFields = ['responseLimitWindow', 'responseLimitBroadcaster', 'responseLimitModerator', 'responseLimitVip', 'responseLimitSubscriber', 'responseLimitEveryone', 'responseLimitExemptUsers', 'channelReplyLimit'];
+    const imageFields = ['imageBackend', 'automatic1111ApiUrl', 'comfyuiApiUrl', 'comfyuiCheckpoint', 'imageSize', 'imageSteps', 'automatic1111Sampler', 'comfyuiSampler'];
+    const providerFields = ['llmProvider', 'openaiApiKey', 'openaiModelName', 'openaiBaseUrl', 'ollamaApiUrl', 'ollamaModelName', 'compatibleApiUrl', 'compatibleModelName', 'compatibleApiKey', 'providerFailover', 'aiMaxRetries', 'circuitBreakerThreshold', 'circuitBreakerCooldown'];
+    const regularFields = SETTINGS_EDITABLE_FIELDS.filter(k => !discordFields.includes(k) && !scheduledFields.includes(k) && !customCommandFields.includes(k) && !routingFields.includes(k) && !templateFields.includes(k) && !outputFields.includes(k) && !providerFields.includes(k) && !budgetFields.includes(k) && !imageFields.includes(k) && !channelFields.includes(k) && !limitFields.includes(k) && k !== 'enableDiscordBot');
 
     return `
     <!DOCTYPE html>
@@ -325,7 +667,7 @@ class WebInterface {
 
           .field { margin-bottom: 22px; }
           label { display: block; font-weight: bold; margin-bottom: 6px; }
-          input[type="text"], input[type="number"], textarea {
+          input[type="text"], input[type="number"], textarea, select {
             width: 92%; padding: 7px; border-radius: 5px; border: 1px solid #8070c7; font-size: 1em; background: #202025; color: #fafaff;
           }
           input[type="checkbox"] { width: 20px; height: 20px; }
@@ -361,6 +703,15 @@ class WebInterface {
             toggleDiscordSettings();
           }
 
+          const TEMPLATE_SAMPLES = ${JSON.stringify(PROMPT_TEMPLATE_SAMPLES)};
+
+          function previewTemplate(name) {
+            const text = document.getElementById('template-' + name).value;
+            document.getElementById('preview-' + name).textContent = text.replace(/\\{(\\w+)\\}/g, (match, key) =>
+              Object.prototype.hasOwnProperty.call(TEMPLATE_SAMPLES, key) ? String(TEMPLATE_SAMPLES[key]) : match
+            );
+          }
+
           document.addEventListener('DOMContentLoaded', initDiscordToggle);
         </script>
       </head>
@@ -379,6 +730,90 @@ class WebInterface {
             }).join("")}
           </div>
 
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Channels</h3>
+            <p style="font-size: 0.9em; color: #ccc; margin-top: 0;">Every setting is shared by all channels unless a channel overrides it. Waifus, quota usage, history and pause state are always kept per channel.</p>
+            ${channelFields.map((k) => {
+              const label = FIELD_LABELS[k] || k;
+              const value = settings[k];
+              const field = this.renderInputField(k, value);
+              return `<div class="field"><label for="${k}">${label}</label>${field}</div>`;
+            }).join("")}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">AI Provider</h3>
+            ${providerFields.map((k) => {
+              const label = FIELD_LABELS[k] || k;
+              const value = settings[k];
+              const field = this.renderInputField(k, value);
+              return `<div class="field"><label for="${k}">${label}</label>${field}</div>`;
+            }).join("")}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Image Generation</h3>
+            ${imageFields.map((k) => {
+              const label = FIELD_LABELS[k] || k;
+              const value = settings[k];
+              const field = this.renderInputField(k, value);
+              return `<div class="field"><label for="${k}">${label}</label>${field}</div>`;
+            }).join("")}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Model Routing</h3>
+            ${this.renderModelRoutesField('modelRoutes', settings.modelRoutes || {})}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">AI Usage</h3>
+            ${this.renderUsageSummary()}
+            ${budgetFields.map((k) => {
+              const label = FIELD_LABELS[k] || k;
+              const value = settings[k];
+              const field = this.renderInputField(k, value);
+              return `<div class="field"><label for="${k}">${label}</label>${field}</div>`;
+            }).join("")}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Chat Activity</h3>
+            ${this.renderChatAnalytics()}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Recent Bot Events</h3>
+            ${this.renderRecentEvents()}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Chat Output</h3>
+            <p style="font-size: 0.9em; color: #ccc; margin-top: 0;">Everything the bot says in Twitch chat passes through these steps, in this order.</p>
+            ${outputFields.map((k) => {
+              const label = FIELD_LABELS[k] || k;
+              const value = settings[k];
+              const field = this.renderInputField(k, value);
+              return `<div class="field"><label for="${k}">${label}</label>${field}</div>`;
+            }).join("")}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Response Limits</h3>
+            <p style="font-size: 0.9em; color: #ccc; margin-top: 0;">Applies to mentions, AI custom commands and hugs. Users get the limit of their highest role.</p>
+            ${limitFields.map((k) => {
+              const label = FIELD_LABELS[k] || k;
+              const value = settings[k];
+              const field = this.renderInputField(k, value);
+              return `<div class="field"><label for="${k}">${label}</label>${field}</div>`;
+            }).join("")}
+          </div>
+
+          <div class="section">
+            <h3 style="color: #b080fa; margin-top: 0;">Prompt Templates</h3>
+            ${this.renderPromptTemplatesField('promptTemplates', settings.promptTemplates || {})}
+          </div>
+
           <div class="section">
             <h3 style="color: #b080fa; margin-top: 0;">Custom Commands</h3>
             ${this.renderCustomCommandsField('customCommands', settings.customCommands || [])}
@@ -440,9 +875,9 @@ class WebInterface {
   /**
    * Update Discord bot settings when settings change
    */
-  updateDiscordSettings(settings, openai) {
+  updateDiscordSettings(settings) {
     if (settings.enableDiscordBot) {
-      discordBot.initializeDiscord(settings, openai);
+      discordBot.initializeDiscord(settings);
       if (discordClientToken !== settings.discordBotToken) {
         discordClientToken = settings.discordBotToken;
         discordBot.loginDiscord(discordClientToken);